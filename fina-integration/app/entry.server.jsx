@@ -4,9 +4,12 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startSyncScheduler } from "./services/sync-scheduler.js";
 
 export const streamTimeout = 5000;
 
+startSyncScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,47 @@
+import { json } from "@remix-run/node";
+import { timingSafeEqual } from "crypto";
+import { runCronTick } from "../services/sync-scheduler.js";
+
+/**
+ * Trigger for an external cron (e.g. Vercel Cron, every few minutes).
+ * Requires `Authorization: Bearer <CRON_SECRET>`.
+ */
+
+const DEFAULT_MAX_DURATION_MS = 50 * 1000;
+
+function isAuthorized(request) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) return false;
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(request.headers.get("authorization") || "");
+  return received.length === expected.length && timingSafeEqual(received, expected);
+}
+
+async function handleCron(request) {
+  if (!isAuthorized(request)) {
+    console.error("❌ Sync cron called without a valid CRON_SECRET");
+    return json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  const startTime = Date.now();
+  const maxDuration = Number(process.env.SYNC_CRON_MAX_DURATION_MS) || DEFAULT_MAX_DURATION_MS;
+
+  try {
+    const { queued, advanced, exported } = await runCronTick({ deadline: startTime + maxDuration });
+    return json({
+      success: true,
+      queued,
+      advanced,
+      exported,
+      processingTime: `${((Date.now() - startTime) / 1000).toFixed(1)}s`,
+    });
+  } catch (error) {
+    console.error("💥 Sync cron failed:", error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+}
+
+// Vercel Cron sends GET; POST is accepted for other schedulers
+export const loader = ({ request }) => handleCron(request);
+export const action = ({ request }) => handleCron(request);
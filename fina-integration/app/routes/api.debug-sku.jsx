@@ -1,49 +1,18 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { refreshFinaToken } from "../services/fina-auth.js";
-
-// Helper function to get ALL products from FINA
-async function getAllFinaProducts(finaToken) {
-  console.log('🔍 [DEBUG] Fetching all FINA products...');
-  const response = await fetch(`http://178.134.149.81:8082/api/operation/getProducts`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${finaToken}`,
-      'Content-Type': 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to get FINA products: ${response.status}`);
-  }
-
-  const data = await response.json();
-  console.log(`🔍 [DEBUG] Retrieved ${data.products?.length || 0} products from FINA`);
-  return data;
-}
-
-// Helper function to get FINA product quantities by store
-async function getFinaProductQuantities(storeId, finaToken) {
-  console.log(`🔍 [DEBUG] Fetching FINA quantities for store ${storeId}...`);
-  const response = await fetch(`http://178.134.149.81:8082/api/operation/getProductsRestByStore/${storeId}`, {
-    method: 'GET',
-    headers: {
-      'Authorization': `Bearer ${finaToken}`,
-      'Content-Type': 'application/json',
-    },
-  });
-
-  if (!response.ok) {
-    throw new Error(`Failed to get FINA quantities: ${response.status}`);
-  }
-
-  const data = await response.json();
-  console.log(`🔍 [DEBUG] Retrieved quantities for ${data.store_rest?.length || 0} products`);
-  return data;
-}
+import { getFinaToken } from "../services/fina-auth.js";
+import { withThrottling } from "../services/shopify-admin.js";
+import { createFinaClient } from "../services/fina-client.js";
+import { getFinaCredentials, getFinaSettings } from "../services/fina-connection.js";
+import {
+  inventoryLevelsSelection,
+  loadRestByLocation,
+  readInventoryLevels,
+  resolveStoreLocations,
+} from "../services/location-mapping.js";
 
 // Helper function to get ALL Shopify variants by SKU
-async function getShopifyVariantsBySku(sku, admin) {
+async function getShopifyVariantsBySku(sku, admin, locations) {
   console.log(`🔍 [DEBUG] Searching Shopify for all variants with SKU: ${sku}`);
   const query = `
     query getProductVariants($query: String!) {
@@ -55,6 +24,7 @@ async function getShopifyVariantsBySku(sku, admin) {
             inventoryQuantity
             inventoryItem {
               id
+              ${inventoryLevelsSelection(locations)}
             }
             product {
               title
@@ -79,33 +49,8 @@ async function getShopifyVariantsBySku(sku, admin) {
   return variants;
 }
 
-// Helper function to update Shopify inventory
-async function updateShopifyInventory(inventoryItemId, quantity, admin) {
-  console.log(`🔍 [DEBUG] Getting primary location...`);
-  const locationQuery = `
-    query {
-      locations(first: 1) {
-        edges {
-          node {
-            id
-            name
-            isActive
-          }
-        }
-      }
-    }
-  `;
-
-  const locationResponse = await admin.graphql(locationQuery);
-  const locationData = await locationResponse.json();
-  const locationId = locationData.data?.locations?.edges?.[0]?.node?.id;
-
-  if (!locationId) {
-    throw new Error('No location found');
-  }
-
-  console.log(`🔍 [DEBUG] Using location: ${locationId}`);
-
+// Helper function to update Shopify inventory at the mapped locations
+async function updateShopifyInventory(inventoryItemId, quantities, admin) {
   const mutation = `
     mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
       inventorySetQuantities(input: $input) {
@@ -127,18 +72,18 @@ async function updateShopifyInventory(inventoryItemId, quantity, admin) {
     input: {
       name: "available",
       reason: "correction",
-      quantities: [
-        {
-          inventoryItemId,
-          locationId,
-          quantity: parseInt(quantity)
-        }
-      ],
+      quantities: quantities.map(({ locationId, quantity }) => ({
+        inventoryItemId,
+        locationId,
+        quantity: parseInt(quantity)
+      })),
       ignoreCompareQuantity: true
     }
   };
 
-  console.log(`🔍 [DEBUG] Updating inventory: ${inventoryItemId} → ${quantity}`);
+  quantities.forEach(({ locationId, quantity }) => {
+    console.log(`🔍 [DEBUG] Updating inventory: ${inventoryItemId} @ ${locationId} → ${quantity}`);
+  });
   const response = await admin.graphql(mutation, { variables });
   const result = await response.json();
   
@@ -156,7 +101,8 @@ export const action = async ({ request }) => {
   console.log(`\n🔍 ===== SKU DEBUG STARTED: ${new Date().toISOString()} =====`);
   
   try {
-    const { admin, session } = await authenticate.admin(request);
+    const { admin: shopifyAdmin, session } = await authenticate.admin(request);
+    const admin = withThrottling(shopifyAdmin, session.shop);
     const formData = await request.formData();
     const targetSku = formData.get("sku")?.trim();
     
@@ -173,13 +119,16 @@ export const action = async ({ request }) => {
     
     // Step 1: Get FINA token
     console.log("🔐 [DEBUG] Getting FINA authentication token...");
-    const finaToken = await refreshFinaToken();
+    const credentials = await getFinaCredentials(session.shop);
+    await getFinaToken(credentials);
+    const fina = createFinaClient({ credentials });
     console.log("✅ [DEBUG] FINA token retrieved successfully");
     
     // Step 2: Get ALL FINA products to find the target SKU
     console.log("📦 [DEBUG] Fetching FINA products...");
-    const finaProductsData = await getAllFinaProducts(finaToken);
+    const finaProductsData = await fina.getProducts();
     const finaProducts = finaProductsData.products || [];
+    console.log(`🔍 [DEBUG] Retrieved ${finaProducts.length} products from FINA`);
     
     // Find the specific product by SKU (code)
     const targetProduct = finaProducts.find(product => product.code === targetSku);
@@ -197,18 +146,22 @@ export const action = async ({ request }) => {
     
     console.log(`✅ [DEBUG] Found FINA product: ${targetProduct.name} (ID: ${targetProduct.id})`);
     
-    // Step 3: Get FINA quantity for this specific product
+    // Step 3: Get FINA quantity for this specific product at every mapped location
     console.log("📊 [DEBUG] Fetching FINA quantities...");
-    const finaQuantitiesData = await getFinaProductQuantities(1, finaToken); // Store ID = 1
-    const finaQuantities = finaQuantitiesData.store_rest || [];
-    
-    const quantityInfo = finaQuantities.find(item => item.id === targetProduct.id);
-    const finaQuantity = Math.floor(quantityInfo ? quantityInfo.rest : 0);
+    const finaSettings = await getFinaSettings(session.shop);
+    const locations = await resolveStoreLocations(session.shop, admin, finaSettings);
+    const restByLocation = await loadRestByLocation(fina, locations);
+
+    const finaQuantities = {};
+    for (const { locationId } of locations) {
+      finaQuantities[locationId] = Math.floor(restByLocation[locationId][targetProduct.id] || 0);
+    }
+    const finaQuantity = Object.values(finaQuantities).reduce((sum, qty) => sum + qty, 0);
     
-    console.log(`📊 [DEBUG] FINA quantity for ${targetSku}: ${finaQuantity}`);
+    console.log(`📊 [DEBUG] FINA quantity for ${targetSku}: ${finaQuantity} across ${locations.length} location(s)`);
     
     // Step 4: Check Shopify variants (could be multiple)
-    const shopifyVariants = await getShopifyVariantsBySku(targetSku, admin);
+    const shopifyVariants = await getShopifyVariantsBySku(targetSku, admin, locations);
     
     if (shopifyVariants.length === 0) {
       console.log(`❌ [DEBUG] SKU ${targetSku} not found in Shopify`);
@@ -236,8 +189,12 @@ export const action = async ({ request }) => {
     
     for (let i = 0; i < shopifyVariants.length; i++) {
       const variant = shopifyVariants[i];
-      const shopifyQuantity = variant.inventoryQuantity || 0;
-      const needsUpdate = finaQuantity !== shopifyQuantity;
+      const levels = readInventoryLevels(variant.inventoryItem, locations);
+      const shopifyQuantity = Object.values(levels).reduce((sum, qty) => sum + (qty ?? 0), 0);
+      const quantityChanges = locations
+        .map(({ locationId }) => ({ locationId, quantity: finaQuantities[locationId] }))
+        .filter(({ locationId, quantity }) => (levels[locationId] ?? 0) !== quantity);
+      const needsUpdate = quantityChanges.length > 0;
       
       console.log(`📊 [DEBUG] Variant ${i + 1}/${shopifyVariants.length}: ${variant.product.title} - ${shopifyQuantity} → ${finaQuantity}`);
       
@@ -247,7 +204,7 @@ export const action = async ({ request }) => {
         try {
           const updateResult = await updateShopifyInventory(
             variant.inventoryItem.id,
-            finaQuantity,
+            quantityChanges,
             admin
           );
           
@@ -337,10 +294,15 @@ export const action = async ({ request }) => {
           code: targetProduct.code,
           quantity: finaQuantity
         },
+        locations: locations.map(location => ({
+          ...location,
+          finaQuantity: finaQuantities[location.locationId]
+        })),
         shopifyVariants: shopifyVariants.map(variant => ({
           id: variant.id,
           sku: variant.sku,
           quantity: variant.inventoryQuantity,
+          locationQuantities: readInventoryLevels(variant.inventoryItem, locations),
           productTitle: variant.product.title,
           inventoryItemId: variant.inventoryItem.id
         })),
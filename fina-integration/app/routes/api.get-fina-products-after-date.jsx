@@ -1,15 +1,13 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { refreshFinaToken } from "../services/fina-auth.js";
+import { FinaApiError } from "../services/fina-client.js";
+import { getFinaClientForShop } from "../services/fina-connection.js";
 
 export const action = async ({ request }) => {
   // Authenticate the request
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
   try {
-    // Always get fresh FINA token (for Vercel reliability)
-    const finaToken = await refreshFinaToken();
-    
     // Get form data
     const formData = await request.formData();
     const afterDate = formData.get("afterDate");
@@ -28,33 +26,20 @@ export const action = async ({ request }) => {
       }, { status: 400 });
     }
     
-    // Construct URL with date parameter
-    const url = `http://178.134.149.81:8082/api/operation/getProductsAfter/${afterDate}`;
-    
-    // Make request to FINA Products After Date API
-    const response = await fetch(url, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${finaToken}`,
-        "Content-Type": "application/json",
-      },
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      return json({ 
-        error: `FINA Products After Date API returned ${response.status}: ${response.statusText}`,
-        details: errorText
-      }, { status: response.status });
-    }
-    
-    const finaProductsData = await response.json();
+    const fina = await getFinaClientForShop(session.shop);
+    const finaProductsData = await fina.getProductsAfter(afterDate);
     return json({ 
       ...finaProductsData, 
       afterDate: afterDate // Include the date parameter in response for UI display
     });
     
   } catch (error) {
+    if (error instanceof FinaApiError && error.status) {
+      return json({ 
+        error: `FINA Products After Date API returned ${error.status}`,
+        details: error.body
+      }, { status: error.status });
+    }
     console.error("Error calling FINA Products After Date API:", error);
     return json({ 
       error: "Failed to connect to FINA Products After Date API",
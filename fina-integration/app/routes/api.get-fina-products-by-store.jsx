@@ -1,15 +1,17 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { refreshFinaToken } from "../services/fina-auth.js";
+import { FinaApiError } from "../services/fina-client.js";
+import { getFinaClientForShop } from "../services/fina-connection.js";
 
 export const action = async ({ request }) => {
   // Authenticate the request
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
+  let storeId;
   try {
     // Parse the form data to get store ID
     const formData = await request.formData();
-    const storeId = formData.get("storeId");
+    storeId = formData.get("storeId");
     
     // Validate store ID
     if (!storeId) {
@@ -18,32 +20,20 @@ export const action = async ({ request }) => {
       }, { status: 400 });
     }
     
-    // Always get fresh FINA token (for Vercel reliability)
-    const finaToken = await refreshFinaToken();
-    
-    // Make request to FINA Products by Store API
-    const apiUrl = `http://178.134.149.81:8082/api/operation/getProductsRestByStore/${storeId}`;
-    const response = await fetch(apiUrl, {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${finaToken}`,
-        "Content-Type": "application/json",
-      },
-    });
-    
-    if (!response.ok) {
-      return json({ 
-        error: `FINA Products by Store API returned ${response.status}: ${response.statusText} for Store ID: ${storeId}` 
-      }, { status: response.status });
-    }
-    
-    const finaProductsData = await response.json();
+    const fina = await getFinaClientForShop(session.shop);
+    const finaProductsData = await fina.getProductsRestByStore(storeId);
     return json({
       ...finaProductsData,
       storeId: storeId // Include the store ID in the response for reference
     });
     
   } catch (error) {
+    if (error instanceof FinaApiError && error.status) {
+      return json({ 
+        error: `FINA Products by Store API returned ${error.status} for Store ID: ${storeId}`,
+        details: error.body
+      }, { status: error.status });
+    }
     console.error("Error calling FINA Products by Store API:", error);
     return json({ 
       error: "Failed to connect to FINA Products by Store API" 
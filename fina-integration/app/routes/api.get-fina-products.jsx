@@ -1,34 +1,24 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
-import { refreshFinaToken } from "../services/fina-auth.js";
+import { FinaApiError } from "../services/fina-client.js";
+import { getFinaClientForShop } from "../services/fina-connection.js";
 
 export const action = async ({ request }) => {
   // Authenticate the request
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
   
   try {
-    // Always get fresh FINA token (for Vercel reliability)
-    const finaToken = await refreshFinaToken();
-    
-    // Make request to FINA Products API
-    const response = await fetch("http://178.134.149.81:8082/api/operation/getProducts", {
-      method: "GET",
-      headers: {
-        "Authorization": `Bearer ${finaToken}`,
-        "Content-Type": "application/json",
-      },
-    });
-    
-    if (!response.ok) {
-      return json({ 
-        error: `FINA Products API returned ${response.status}: ${response.statusText}` 
-      }, { status: response.status });
-    }
-    
-    const finaProductsData = await response.json();
+    const fina = await getFinaClientForShop(session.shop);
+    const finaProductsData = await fina.getProducts();
     return json(finaProductsData);
     
   } catch (error) {
+    if (error instanceof FinaApiError && error.status) {
+      return json({ 
+        error: `FINA Products API returned ${error.status}`,
+        details: error.body
+      }, { status: error.status });
+    }
     console.error("Error calling FINA Products API:", error);
     return json({ 
       error: "Failed to connect to FINA Products API" 
@@ -0,0 +1,49 @@
+import { authenticate } from "../shopify.server";
+import { getAllSyncResults, getSyncRun } from "../services/sync-runs.js";
+
+const COLUMNS = [
+  ["SKU", "sku"],
+  ["Status", "status"],
+  ["FINA quantity", "finaQuantity"],
+  ["Reserved for orders", "reservedQuantity"],
+  ["FINA B2C price", "finaB2cPrice"],
+  ["FINA B2B price", "finaB2bPrice"],
+  ["Shopify quantity", "shopifyQuantity"],
+  ["Shopify price", "shopifyPrice"],
+  ["Message", "message"],
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // SKUs and messages come from Shopify and FINA: keep spreadsheets from running them as formulas
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// GET: a run's per-SKU results as CSV, honouring the report's status / SKU filters
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const run = await getSyncRun(session.shop, params.runId);
+  if (!run) throw new Response("Sync run not found", { status: 404 });
+
+  const url = new URL(request.url);
+  const results = await getAllSyncResults(session.shop, run.id, {
+    status: url.searchParams.get("status") || "all",
+    query: url.searchParams.get("q")?.trim() || "",
+  });
+
+  const lines = [
+    COLUMNS.map(([heading]) => heading).join(","),
+    ...results.map((result) => COLUMNS.map(([, key]) => csvCell(result[key])).join(",")),
+  ];
+  const date = new Date(run.createdAt).toISOString().slice(0, 10);
+
+  // BOM so Excel reads the file as UTF-8
+  return new Response(`\uFEFF${lines.join("\r\n")}\r\n`, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="fina-sync-${date}-${run.id}.csv"`,
+    },
+  });
+};
@@ -1,10 +1,12 @@
 import { json } from "@remix-run/node";
 import { authenticate } from "../shopify.server";
+import { withThrottling } from "../services/shopify-admin.js";
 
 export const action = async ({ request }) => {
   try {
     // Authenticate the admin request
-    const { admin } = await authenticate.admin(request);
+    const { admin: shopifyAdmin, session } = await authenticate.admin(request);
+    const admin = withThrottling(shopifyAdmin, session.shop);
     
     // Parse the form data
     const formData = await request.formData();
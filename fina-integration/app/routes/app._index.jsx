@@ -1,5 +1,6 @@
 import { useState, useEffect, useRef } from "react";
-import { useFetcher } from "@remix-run/react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useRevalidator } from "@remix-run/react";
 import {
   Page,
   Text,
@@ -10,20 +11,38 @@ import {
   InlineStack,
   TextField,
   Select,
+  Checkbox,
 } from "@shopify/polaris";
 import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
+import { getSyncSettings } from "../services/sync-settings.js";
+import { getLatestSyncRun } from "../services/sync-runs.js";
 
 export const loader = async ({ request }) => {
-  await authenticate.admin(request);
+  const { session } = await authenticate.admin(request);
+  const syncSettings = await getSyncSettings(session.shop);
+  const latestRun = await getLatestSyncRun(session.shop);
 
-  return null;
+  return json({
+    lastSyncDate: syncSettings.lastSyncDate,
+    canSyncIncrementally: !!syncSettings.lastRestSnapshot,
+    latestRun,
+  });
 };
 
-
+const SYNC_POLL_INTERVAL_MS = 3000;
+const isActiveRun = (run) => run?.status === "pending" || run?.status === "running";
+const runLabel = (run) => {
+  if (run.mode === "apply") return "Applying previewed changes";
+  const mode = run.mode === "incremental" ? "Incremental" : "Full";
+  return run.dryRun ? `${mode} dry run` : `${mode} sync`;
+};
 
 export default function Index() {
+  const { lastSyncDate, canSyncIncrementally, latestRun } = useLoaderData();
+  const revalidator = useRevalidator();
   const syncFetcher = useFetcher();
+  const syncStatusFetcher = useFetcher();
   const finaFetcher = useFetcher();
   const finaProductsFetcher = useFetcher();
   const finaCustomersFetcher = useFetcher();
@@ -38,75 +57,70 @@ export default function Index() {
   const [quantity, setQuantity] = useState("");
   const [mode, setMode] = useState("add");
   
+  // Full walks the whole FINA catalog, incremental only what changed since lastSyncDate
+  const [syncMode, setSyncMode] = useState(canSyncIncrementally ? "incremental" : "full");
+  // A dry run only records what it would change, for review before applying
+  const [dryRun, setDryRun] = useState(false);
+  
   // Form state for Fina API inputs
   const [afterDate, setAfterDate] = useState("");
   const [storeId, setStoreId] = useState("");
   
-  // State to track cumulative sync results across all chunks
-  const [cumulativeResults, setCumulativeResults] = useState({
-    updated: 0,
-    noChange: 0,
-    errors: 0,
-    notFound: 0
-  });
-  
-  // Track processed chunks to prevent double-counting
-  const processedChunks = useRef(new Set());
-  const handleSync = (offset = 0) => {
-    // Ensure offset is a valid number
-    const validOffset = typeof offset === 'number' && !isNaN(offset) ? offset : 0;
-    console.log(`🚀 Frontend: Starting sync with offset=${validOffset} (original: ${offset}, type: ${typeof offset})`);
-    
-    // Reset cumulative results when starting a new sync (offset = 0)
-    if (validOffset === 0) {
-      setCumulativeResults({
-        updated: 0,
-        noChange: 0,
-        errors: 0,
-        notFound: 0
-      });
-      processedChunks.current.clear();
+  // The server advances sync runs; the dashboard only polls their progress
+  const [syncRun, setSyncRun] = useState(latestRun);
+  const previousRunStatus = useRef(latestRun?.status);
+  const syncRunActive = isActiveRun(syncRun);
+
+  useEffect(() => {
+    if (syncFetcher.data?.run) setSyncRun(syncFetcher.data.run);
+    if (syncFetcher.data && !syncFetcher.data.success) {
+      shopify.toast.show(`❌ ${syncFetcher.data.message || syncFetcher.data.error}`, { isError: true });
     }
-    
-    const formData = new FormData();
-    formData.append("offset", validOffset.toString());
-    syncFetcher.submit(formData, { method: "POST", action: "/api/sync" });
-  };
+  }, [syncFetcher.data, shopify]);
+
+  useEffect(() => {
+    if (syncStatusFetcher.data?.run) setSyncRun(syncStatusFetcher.data.run);
+  }, [syncStatusFetcher.data]);
 
-  // Auto-continue with next chunk when current chunk completes
+  const loadSyncStatus = syncStatusFetcher.load;
   useEffect(() => {
-    if (syncFetcher.data && syncFetcher.state === "idle") {
-      const currentOffset = syncFetcher.data.processedProducts - (syncFetcher.data.chunkResults?.processed || 0);
-      const chunkKey = `${currentOffset}-${syncFetcher.data.processedProducts}`;
-      
-      // Accumulate results only if we haven't processed this chunk yet
-      if (syncFetcher.data.chunkResults && !processedChunks.current.has(chunkKey)) {
-        const chunkData = syncFetcher.data.chunkResults;
-        setCumulativeResults(prev => ({
-          updated: prev.updated + (chunkData.successful || 0),
-          noChange: prev.noChange + (chunkData.noChange || 0),
-          errors: prev.errors + (chunkData.errors || 0),
-          notFound: prev.notFound + (chunkData.notFound || 0)
-        }));
-        processedChunks.current.add(chunkKey);
-      }
-      
-      // Check if there's a next chunk to process
-      if (!syncFetcher.data.isComplete && syncFetcher.data.nextOffset !== null) {
-        console.log(`🔄 Auto-continuing with next chunk at offset: ${syncFetcher.data.nextOffset}`);
-        setTimeout(() => {
-          handleSync(syncFetcher.data.nextOffset);
-        }, 1000); // 1 second delay between chunks
-      } else if (syncFetcher.data.isComplete) {
-        console.log(`✅ Sync completed! All chunks processed.`);
-        // Use cumulative results for the toast 
-        setTimeout(() => {
-          const statsMessage = `✅ Sync Complete: ${cumulativeResults.updated} updated, ${cumulativeResults.noChange} unchanged, ${cumulativeResults.errors} errors, ${cumulativeResults.notFound} not found`;
-          shopify.toast.show(statsMessage, { isError: false, duration: 10000 });
-        }, 100); // Small delay to ensure state is updated
-      }
+    if (!syncRunActive) return;
+    const timer = setInterval(() => loadSyncStatus("/api/sync"), SYNC_POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [syncRunActive, loadSyncStatus]);
+
+  // Toast + refresh lastSyncDate when a run we were watching finishes
+  useEffect(() => {
+    const wasActive = isActiveRun({ status: previousRunStatus.current });
+    previousRunStatus.current = syncRun?.status;
+    if (!wasActive || !syncRun || syncRunActive) return;
+
+    const statsMessage = `${syncRun.updated} updated, ${syncRun.noChange} unchanged, ${syncRun.errors} errors, ${syncRun.notFound} not found`;
+    if (syncRun.status === "completed" && syncRun.dryRun) {
+      shopify.toast.show(`✅ Dry run complete: ${syncRun.updated} products would change`, { isError: false, duration: 10000 });
+    } else if (syncRun.status === "completed") {
+      shopify.toast.show(`✅ Sync Complete: ${statsMessage}`, { isError: false, duration: 10000 });
+    } else if (syncRun.status === "failed") {
+      shopify.toast.show(`❌ Sync failed: ${syncRun.error}`, { isError: true, duration: 10000 });
+    } else if (syncRun.status === "blocked" || syncRun.status === "aborted") {
+      shopify.toast.show(`🛑 Sync ${syncRun.status} by safety thresholds`, { isError: true, duration: 10000 });
     }
-  }, [syncFetcher.data, syncFetcher.state, shopify, cumulativeResults]);
+    revalidator.revalidate();
+  }, [syncRun, syncRunActive, shopify, revalidator]);
+
+  const handleSync = () => {
+    syncFetcher.submit({ intent: "start", mode: syncMode, dryRun: String(dryRun) }, { method: "POST", action: "/api/sync" });
+  };
+  const handleCancelSync = () => {
+    syncFetcher.submit({ intent: "cancel", runId: syncRun.id }, { method: "POST", action: "/api/sync" });
+  };
+  const handleResumeSync = () => {
+    syncFetcher.submit({ intent: "resume", runId: syncRun.id }, { method: "POST", action: "/api/sync" });
+  };
+  const handleConfirmSync = () => {
+    syncFetcher.submit({ intent: "confirm", runId: syncRun.id }, { method: "POST", action: "/api/sync" });
+  };
+  const trippedGuards = syncRun?.guardReport?.checks?.filter((check) => check.tripped) ?? [];
 
   const handleGetFinaInfo = () => finaFetcher.submit({}, { method: "POST", action: "/api/get-fina-info" });
   const handleGetFinaProducts = () => finaProductsFetcher.submit({}, { method: "POST", action: "/api/get-fina-products" });
@@ -170,58 +184,136 @@ export default function Index() {
         {/* Sync Button - Standalone */}
         <Card>
           <BlockStack gap="300">
-            <Button 
-              variant="primary" 
-              onClick={() => handleSync()}
-              loading={syncFetcher.state === "submitting"}
-            >
-              Sync
-            </Button>
-            {syncFetcher.data && (
+            <InlineStack gap="200" align="start" blockAlign="center">
+              <Select
+                label="Sync mode"
+                labelHidden
+                options={[
+                  {label: 'Full sync', value: 'full'},
+                  {label: 'Incremental sync', value: 'incremental'},
+                ]}
+                value={syncMode}
+                onChange={setSyncMode}
+              />
+              <Button 
+                variant="primary" 
+                onClick={handleSync}
+                loading={syncFetcher.state === "submitting"}
+                disabled={syncRunActive}
+              >
+                {dryRun ? "Preview changes" : "Sync"}
+              </Button>
+              <Checkbox
+                label="Dry run (preview only)"
+                checked={dryRun}
+                onChange={setDryRun}
+              />
+            </InlineStack>
+            <Text variant="bodySm" color="subdued">
+              Last successful sync: {new Date(lastSyncDate).toLocaleString()}
+              {syncMode === "incremental" && !canSyncIncrementally && " (no completed sync yet, a full sync will run)"}
+            </Text>
+            {syncRun && (
               <Box
                 padding="300"
-                background={syncFetcher.data.isComplete ? "bg-surface-success" : "bg-surface-highlight"}
+                background={syncRun.status === "completed" ? "bg-surface-success" : syncRunActive ? "bg-surface-highlight" : syncRun.status === "blocked" ? "bg-surface-warning" : "bg-surface-critical"}
                 borderWidth="025"
                 borderRadius="200"
-                borderColor={syncFetcher.data.isComplete ? "border-success" : "border-highlight"}
+                borderColor={syncRun.status === "completed" ? "border-success" : syncRunActive ? "border-highlight" : syncRun.status === "blocked" ? "border-warning" : "border-critical"}
               >
                 <BlockStack gap="200">
-                  <Text variant="bodyMd" color={syncFetcher.data.isComplete ? "success" : "base"}>
-                    {syncFetcher.data.isComplete 
-                      ? `Sync completed: All ${syncFetcher.data.totalProducts || 0} products processed`
-                      : syncFetcher.data.message
-                    }
+                  <Text variant="bodyMd">
+                    {syncRun.status === "pending" && `⏳ ${runLabel(syncRun)} queued...`}
+                    {syncRun.status === "running" && (syncRun.startedAt || syncRun.mode === "apply"
+                      ? `🔄 ${runLabel(syncRun)} running on the server...`
+                      : "🔄 Loading products, stock and prices from FINA...")}
+                    {syncRun.status === "completed" && (syncRun.dryRun
+                      ? `Dry run completed: ${syncRun.updated} of ${syncRun.totalProducts} products would change`
+                      : `${runLabel(syncRun)} completed: All ${syncRun.totalProducts} ${syncRun.mode === "apply" ? "changes" : "products"} processed`)}
+                    {syncRun.status === "failed" && `${runLabel(syncRun)} failed: ${syncRun.error}`}
+                    {syncRun.status === "cancelled" && `${runLabel(syncRun)} cancelled`}
+                    {syncRun.status === "blocked" && `🛑 ${runLabel(syncRun)} blocked before writing anything: FINA data looks suspicious`}
+                    {syncRun.status === "aborted" && `🛑 ${runLabel(syncRun)} aborted before writing anything: FINA data looks suspicious`}
                   </Text>
-                  {!syncFetcher.data.isComplete && (
-                    <Text variant="bodySm" color="subdued">
-                      🔄 Auto-continuing with remaining chunks...
-                    </Text>
-                  )}
-                  {syncFetcher.data.chunkResults && (
-                    <Text variant="bodySm" color="subdued">
-                      📊 Progress: {syncFetcher.data.processedProducts || 0}/{syncFetcher.data.totalProducts || 0} products
-                    </Text>
-                  )}
-                  {syncFetcher.data.isComplete && (
+                  {trippedGuards.length > 0 && (
                     <BlockStack gap="100">
-                      <Text variant="bodySm" color="success">
-                        ✅ Updated: {cumulativeResults.updated} products
-                      </Text>
-                      <Text variant="bodySm" color="subdued">
-                        ➖ No change: {cumulativeResults.noChange} products
-                      </Text>
-                      {cumulativeResults.errors > 0 && (
-                        <Text variant="bodySm" color="warning">
-                          ❌ Errors: {cumulativeResults.errors} products
+                      {trippedGuards.map((check) => (
+                        <BlockStack key={check.guard} gap="050">
+                          <Text variant="bodySm" color="warning">⚠️ {check.message}</Text>
+                          {check.examples?.length > 0 && (
+                            <Text variant="bodySm" color="subdued">e.g. {check.examples.join(", ")}</Text>
+                          )}
+                        </BlockStack>
+                      ))}
+                      {syncRun.status === "blocked" && (
+                        <Text variant="bodySm" color="subdued">
+                          Check FINA, then continue the sync if the change is expected. A dry run shows every change.
+                          Scheduled syncs are paused until this run is continued or another sync is started.
                         </Text>
                       )}
-                      {cumulativeResults.notFound > 0 && (
+                      {syncRun.status === "aborted" && (
                         <Text variant="bodySm" color="subdued">
-                          ⚠️ Not found: {cumulativeResults.notFound} products
+                          Syncs are set to abort on these thresholds. Check FINA or adjust them in Settings; the next
+                          scheduled sync checks the data again.
                         </Text>
                       )}
                     </BlockStack>
                   )}
+                  {syncRun.startedAt && (
+                    <Text variant="bodySm" color="subdued">
+                      📊 Progress: {syncRun.cursor}/{syncRun.totalProducts} {syncRun.mode === "apply" ? "changes" : "products"}
+                    </Text>
+                  )}
+                  {syncRun.status === "completed" && syncRun.errors > 0 && !syncRun.dryRun && syncRun.mode !== "apply" && (
+                    <Text variant="bodySm" color="warning">
+                      ⚠️ Some products failed, so the next incremental sync will start from the same date
+                    </Text>
+                  )}
+                  <BlockStack gap="100">
+                    <Text variant="bodySm" color="success">
+                      ✅ {syncRun.dryRun ? "Would update" : "Updated"}: {syncRun.updated} {syncRun.mode === "apply" ? "variants" : "products"}
+                    </Text>
+                    <Text variant="bodySm" color="subdued">
+                      ➖ No change: {syncRun.noChange} products
+                    </Text>
+                    {syncRun.errors > 0 && (
+                      <Text variant="bodySm" color="warning">
+                        ❌ Errors: {syncRun.errors} products
+                      </Text>
+                    )}
+                    {syncRun.notFound > 0 && (
+                      <Text variant="bodySm" color="subdued">
+                        ⚠️ Not found: {syncRun.notFound} products
+                      </Text>
+                    )}
+                  </BlockStack>
+                  <InlineStack gap="200">
+                    {syncRunActive && (
+                      <Button onClick={handleCancelSync} loading={syncFetcher.state === "submitting"}>
+                        Cancel sync
+                      </Button>
+                    )}
+                    {syncRun.status === "blocked" && syncRun.guardReport?.confirmable && (
+                      <Button variant="primary" tone="critical" onClick={handleConfirmSync} loading={syncFetcher.state === "submitting"}>
+                        Continue sync anyway
+                      </Button>
+                    )}
+                    {(syncRun.status === "failed" || syncRun.status === "cancelled") && (
+                      <Button onClick={handleResumeSync} loading={syncFetcher.state === "submitting"}>
+                        {syncRun.startedAt ? `Resume from ${syncRun.mode === "apply" ? "change" : "product"} ${syncRun.cursor + 1}` : "Resume sync"}
+                      </Button>
+                    )}
+                    {syncRun.dryRun && syncRun.status === "completed" && (
+                      <Button variant="primary" url={`/app/runs/${syncRun.id}`}>
+                        Review diff
+                      </Button>
+                    )}
+                    {!syncRun.dryRun && syncRun.startedAt && (
+                      <Button url={`/app/runs/${syncRun.id}`}>
+                        View report
+                      </Button>
+                    )}
+                  </InlineStack>
                 </BlockStack>
               </Box>
             )}
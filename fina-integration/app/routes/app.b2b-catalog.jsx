@@ -0,0 +1,226 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  BlockStack,
+  InlineStack,
+  Text,
+  TextField,
+  Select,
+  ChoiceList,
+  Banner,
+  Button,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getSavedPriceMapping } from "../services/price-mapping.js";
+import {
+  assignCompanyLocations,
+  createB2BCatalog,
+  listB2BCatalogs,
+  listCompanyLocations,
+  selectB2BCatalog,
+} from "../services/b2b-catalog.js";
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const priceMapping = await getSavedPriceMapping(session.shop);
+
+  try {
+    const [catalogs, companyLocations] = await Promise.all([
+      listB2BCatalogs(admin),
+      listCompanyLocations(admin),
+    ]);
+    return json({
+      available: true,
+      catalogs,
+      companyLocations,
+      catalogId: priceMapping?.b2bCatalogId ?? null,
+      usesPriceList: priceMapping?.variantSelector === "priceList",
+    });
+  } catch (error) {
+    // Catalogs and companies only exist on B2B-enabled plans
+    console.error(`❌ Could not load B2B catalogs for ${session.shop}:`, error);
+    return json({ available: false, catalogs: [], companyLocations: [], catalogId: null, usesPriceList: false });
+  }
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const companyLocationIds = String(formData.get("companyLocationIds") || "").split(",").filter(Boolean);
+
+  try {
+    if (intent === "select") {
+      const catalog = await selectB2BCatalog(session.shop, admin, formData.get("catalogId"));
+      return json({ success: true, message: `B2B prices go to ${catalog.title}` });
+    }
+
+    if (intent === "create") {
+      const catalog = await createB2BCatalog(session.shop, admin, { title: formData.get("title"), companyLocationIds });
+      return json({ success: true, message: `Catalog ${catalog.title} created` });
+    }
+
+    if (intent === "assign") {
+      const { added, removed } = await assignCompanyLocations(admin, formData.get("catalogId"), companyLocationIds);
+      return json({ success: true, message: `Company locations saved (${added} added, ${removed} removed)` });
+    }
+
+    return json({ success: false, error: `Unknown intent "${intent}"` }, { status: 400 });
+  } catch (error) {
+    console.error(`❌ B2B catalog ${intent} failed for ${session.shop}:`, error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+export default function B2BCatalog() {
+  const { available, catalogs, companyLocations, catalogId, usesPriceList } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [selectedCatalog, setSelectedCatalog] = useState(catalogId ?? catalogs[0]?.id ?? "");
+  const [title, setTitle] = useState("");
+  const assignedTo = (id) => companyLocations.filter((location) => location.catalogIds.includes(id)).map((location) => location.id);
+  const [locationIds, setLocationIds] = useState(() => assignedTo(catalogId ?? catalogs[0]?.id));
+
+  const catalog = catalogs.find((c) => c.id === selectedCatalog);
+  const current = catalogs.find((c) => c.id === catalogId);
+  const busyIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  const chooseCatalog = (id) => {
+    setSelectedCatalog(id);
+    setLocationIds(assignedTo(id));
+  };
+  const submit = (intent, extra = {}) => fetcher.submit(
+    { intent, companyLocationIds: locationIds.join(","), ...extra },
+    { method: "POST" },
+  );
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      shopify.toast.show(
+        fetcher.data.success ? `✅ ${fetcher.data.message}` : `❌ ${fetcher.data.error}`,
+        { isError: !fetcher.data.success },
+      );
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  if (!available) {
+    return (
+      <Page>
+        <TitleBar title="B2B catalog" />
+        <Banner tone="warning">
+          This store has no B2B catalogs. Syncs keep writing B2B prices to the B2B variant of each product.
+        </Banner>
+      </Page>
+    );
+  }
+
+  return (
+    <Page>
+      <TitleBar title="B2B catalog" />
+      <BlockStack gap="400">
+        {!usesPriceList && (
+          <Banner tone="info" action={{ content: "Open settings", url: "/app/settings" }}>
+            Syncs write B2B prices to the B2B variant. To use a catalog, choose &quot;B2B catalog price list&quot; under
+            Price mapping in Settings once the catalog is chosen here.
+          </Banner>
+        )}
+        <Layout>
+          <Layout.AnnotatedSection
+            title="Catalog"
+            description="B2B catalog whose price list gets FINA B2B prices as fixed prices on each product's variant."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <Text as="p">
+                  {current
+                    ? `B2B prices go to ${current.title} (${current.priceList?.name ?? "no price list"}${current.priceList ? `, ${current.priceList.currency}` : ""}).`
+                    : "No catalog chosen yet."}
+                </Text>
+                {catalogs.length > 0 && (
+                  <FormLayout>
+                    <Select
+                      label="Catalog"
+                      options={catalogs.map((c) => ({ label: `${c.title} (${c.status.toLowerCase()})`, value: c.id }))}
+                      value={selectedCatalog}
+                      onChange={chooseCatalog}
+                      helpText="A catalog without a price list gets one that keeps retail prices for variants FINA doesn't price."
+                    />
+                  </FormLayout>
+                )}
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={() => submit("select", { catalogId: selectedCatalog })}
+                    disabled={!catalog || catalog.id === catalogId}
+                    loading={busyIntent === "select"}
+                  >
+                    Use for B2B prices
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+          <Layout.AnnotatedSection
+            title="Company locations"
+            description="Company locations that buy at the catalog's prices."
+          >
+            <Card>
+              <BlockStack gap="400">
+                {companyLocations.length === 0 ? (
+                  <Text as="p" tone="subdued">No companies yet. Add them under Customers → Companies.</Text>
+                ) : (
+                  <ChoiceList
+                    title="Locations"
+                    titleHidden
+                    allowMultiple
+                    choices={companyLocations.map((location) => ({
+                      label: `${location.companyName} – ${location.name}`,
+                      value: location.id,
+                    }))}
+                    selected={locationIds}
+                    onChange={setLocationIds}
+                  />
+                )}
+                <InlineStack align="end">
+                  <Button
+                    onClick={() => submit("assign", { catalogId: selectedCatalog })}
+                    disabled={!catalog}
+                    loading={busyIntent === "assign"}
+                  >
+                    Save locations
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+          <Layout.AnnotatedSection
+            title="New catalog"
+            description="Creates an active catalog with a price list for the company locations checked above, and uses it for B2B prices."
+          >
+            <Card>
+              <BlockStack gap="400">
+                <TextField label="Catalog name" value={title} onChange={setTitle} placeholder="FINA B2B" autoComplete="off" />
+                <InlineStack align="end">
+                  <Button
+                    onClick={() => submit("create", { title })}
+                    disabled={!title.trim() || locationIds.length === 0}
+                    loading={busyIntent === "create"}
+                  >
+                    Create catalog
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.AnnotatedSection>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -22,6 +22,11 @@ export default function App() {
         <Link to="/app" rel="home">
           Fina Sync App
         </Link>
+        <Link to="/app/runs">Sync runs</Link>
+        <Link to="/app/orders">Orders</Link>
+        <Link to="/app/missing-products">Missing products</Link>
+        <Link to="/app/b2b-catalog">B2B catalog</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
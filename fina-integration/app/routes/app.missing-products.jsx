@@ -0,0 +1,277 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Tabs,
+  TextField,
+  IndexTable,
+  Pagination,
+  Banner,
+  Badge,
+  Button,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getSyncSettings } from "../services/sync-settings.js";
+import { withThrottling } from "../services/shopify-admin.js";
+import {
+  MISSING_PRODUCT_STATUSES,
+  approveMissingProducts,
+  getMissingProducts,
+  linkMissingProduct,
+  skipMissingProducts,
+} from "../services/missing-products.js";
+
+const PAGE_SIZE = 50;
+const STATUS_TABS = [
+  { id: "pending", content: "To review" },
+  { id: "failed", content: "Failed" },
+  { id: "created", content: "Created" },
+  { id: "linked", content: "Linked" },
+  { id: "skipped", content: "Skipped" },
+];
+const STATUS_BADGES = {
+  pending: { tone: "attention", label: "To review" },
+  created: { tone: "success", label: "Draft created" },
+  linked: { tone: "info", label: "Linked" },
+  skipped: { tone: undefined, label: "Skipped" },
+  failed: { tone: "critical", label: "Failed" },
+};
+const OPEN_STATUSES = ["pending", "skipped", "failed"];
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const status = MISSING_PRODUCT_STATUSES.includes(url.searchParams.get("status")) ? url.searchParams.get("status") : "pending";
+  const query = url.searchParams.get("q")?.trim() || "";
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+
+  const [{ items, total, counts }, syncSettings] = await Promise.all([
+    getMissingProducts(session.shop, { status, query, page, pageSize: PAGE_SIZE }),
+    getSyncSettings(session.shop),
+  ]);
+
+  return json({ items, total, counts, status, query, page, enabled: syncSettings.createMissingProducts });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ids = String(formData.get("ids") || "").split(",").filter(Boolean);
+
+  try {
+    if (intent === "approve") {
+      const { created, failed } = await approveMissingProducts(session.shop, ids, withThrottling(admin, session.shop));
+      return json({
+        success: failed === 0,
+        message: `Created ${created} draft product(s)`,
+        error: failed ? `${failed} product(s) could not be created, see the Failed tab` : undefined,
+      });
+    }
+
+    if (intent === "skip") {
+      const skipped = await skipMissingProducts(session.shop, ids);
+      return json({ success: true, message: `Skipped ${skipped} product(s)` });
+    }
+
+    if (intent === "link") {
+      const linked = await linkMissingProduct(session.shop, ids[0], {
+        id: formData.get("productId"),
+        title: formData.get("productTitle"),
+      });
+      return linked
+        ? json({ success: true, message: `Linked to ${formData.get("productTitle")}` })
+        : json({ success: false, error: "This item can't be linked anymore" }, { status: 400 });
+    }
+
+    return json({ success: false, error: `Unknown intent "${intent}"` }, { status: 400 });
+  } catch (error) {
+    console.error(`❌ Missing products ${intent} failed for ${session.shop}:`, error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+const formatPrice = (value) => (value === null || value === undefined ? "–" : Number(value).toFixed(2));
+const totalQuantity = (quantities) => Object.values(quantities || {}).reduce((sum, qty) => sum + qty, 0);
+
+export default function MissingProducts() {
+  const { items, total, counts, status, query, page, enabled } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [search, setSearch] = useState(query);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(items);
+  const selectable = OPEN_STATUSES.includes(status);
+
+  // Search as you type, without a navigation per keystroke
+  useEffect(() => {
+    if (search.trim() === query) return;
+    const timer = setTimeout(() => {
+      const next = new URLSearchParams(searchParams);
+      if (search.trim()) next.set("q", search.trim());
+      else next.delete("q");
+      next.delete("page");
+      setSearchParams(next);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, query, searchParams, setSearchParams]);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.message) shopify.toast.show(`✅ ${fetcher.data.message}`);
+    if (fetcher.data.error) shopify.toast.show(`❌ ${fetcher.data.error}`, { isError: true });
+    clearSelection();
+  }, [fetcher.state, fetcher.data, shopify, clearSelection]);
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    next.set(key, value);
+    if (key !== "page") next.delete("page");
+    setSearchParams(next);
+  };
+
+  const submit = (intent, ids, extra = {}) => fetcher.submit({ intent, ids: ids.join(","), ...extra }, { method: "POST" });
+
+  const handleLink = async (item) => {
+    const selection = await shopify.resourcePicker({ type: "product", action: "select", multiple: false, query: item.name });
+    const product = selection?.[0];
+    if (product) submit("link", [item.id], { productId: product.id, productTitle: product.title });
+  };
+
+  const busy = fetcher.state !== "idle";
+
+  return (
+    <Page>
+      <TitleBar title="Missing products" />
+      <BlockStack gap="400">
+        {!enabled && (
+          <Banner tone="info" action={{ content: "Open settings", url: "/app/settings" }}>
+            Syncs don&apos;t queue missing products. Turn on &quot;Queue missing products for creation&quot; in Settings.
+          </Banner>
+        )}
+        <Text variant="bodySm" as="p" tone="subdued">
+          FINA products without a Shopify variant with their code. Approving creates a draft product with a retail and
+          a B2B variant, FINA prices and stock; the next sync keeps it up to date. Linking makes the sync treat an
+          existing product&apos;s variants as this FINA product (not with the SKU suffix variant setting).
+        </Text>
+        <Card padding="0">
+          <Tabs
+            tabs={STATUS_TABS.map((tab) => ({ ...tab, content: `${tab.content} (${counts[tab.id] ?? 0})` }))}
+            selected={Math.max(0, STATUS_TABS.findIndex((tab) => tab.id === status))}
+            onSelect={(index) => setParam("status", STATUS_TABS[index].id)}
+          />
+          <div style={{ padding: "var(--p-space-300)" }}>
+            <TextField
+              label="Search"
+              labelHidden
+              value={search}
+              onChange={setSearch}
+              placeholder="Search code or name"
+              clearButton
+              onClearButtonClick={() => setSearch("")}
+              autoComplete="off"
+            />
+          </div>
+          <IndexTable
+            resourceName={{ singular: "product", plural: "products" }}
+            itemCount={items.length}
+            selectable={selectable}
+            selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+            onSelectionChange={handleSelectionChange}
+            promotedBulkActions={selectable ? [
+              { content: "Create draft products", onAction: () => submit("approve", selectedResources) },
+              ...(status !== "skipped" ? [{ content: "Skip", onAction: () => submit("skip", selectedResources) }] : []),
+            ] : undefined}
+            headings={[
+              { title: "FINA code" },
+              { title: "Name" },
+              { title: "Status" },
+              { title: "B2C price", alignment: "end" },
+              { title: "B2B price", alignment: "end" },
+              { title: "FINA qty", alignment: "end" },
+              { title: "Last seen" },
+              { title: "" },
+            ]}
+          >
+            {items.map((item, index) => (
+              <IndexTable.Row
+                id={item.id}
+                key={item.id}
+                position={index}
+                selected={selectedResources.includes(item.id)}
+                disabled={busy}
+              >
+                <IndexTable.Cell>
+                  <Text as="span" fontWeight="semibold">{item.code}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <BlockStack gap="050">
+                    <Text as="span">{item.name}</Text>
+                    {item.shopifyTitle && <Text as="span" tone="subdued">→ {item.shopifyTitle}</Text>}
+                    {item.error && <Text as="span" tone="critical">{item.error}</Text>}
+                  </BlockStack>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Badge tone={STATUS_BADGES[item.status]?.tone}>{STATUS_BADGES[item.status]?.label ?? item.status}</Badge>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{formatPrice(item.b2cPrice)}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{formatPrice(item.b2bPrice)}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{totalQuantity(item.quantities)}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>{new Date(item.lastSeenAt).toLocaleString()}</IndexTable.Cell>
+                <IndexTable.Cell>
+                  {OPEN_STATUSES.includes(item.status) && (
+                    // Keep clicks on the buttons from toggling the row selection
+                    <div onClick={(event) => event.stopPropagation()} role="presentation">
+                      <InlineStack gap="200" wrap={false}>
+                        <Button size="slim" onClick={() => submit("approve", [item.id])} disabled={busy}>Create draft</Button>
+                        <Button size="slim" onClick={() => handleLink(item)} disabled={busy}>Link…</Button>
+                        {item.status !== "skipped" && (
+                          <Button size="slim" variant="plain" onClick={() => submit("skip", [item.id])} disabled={busy}>Skip</Button>
+                        )}
+                      </InlineStack>
+                    </div>
+                  )}
+                  {item.shopifyProductId && !OPEN_STATUSES.includes(item.status) && (
+                    <Button
+                      size="slim"
+                      variant="plain"
+                      url={`shopify://admin/products/${item.shopifyProductId.split("/").pop()}`}
+                      target="_top"
+                    >
+                      Open product
+                    </Button>
+                  )}
+                </IndexTable.Cell>
+              </IndexTable.Row>
+            ))}
+          </IndexTable>
+          <InlineStack align="center">
+            <div style={{ padding: "var(--p-space-300)" }}>
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => setParam("page", String(page - 1))}
+                hasNext={page * PAGE_SIZE < total}
+                onNext={() => setParam("page", String(page + 1))}
+                label={`${total === 0 ? 0 : (page - 1) * PAGE_SIZE + 1}–${Math.min(page * PAGE_SIZE, total)} of ${total}`}
+              />
+            </div>
+          </InlineStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,254 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Banner,
+  Badge,
+  Box,
+  Button,
+  DataTable,
+  TextField,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { withThrottling } from "../services/shopify-admin.js";
+import {
+  getOrderExport,
+  mapHeldOrderLines,
+  markOrderExportsHandled,
+  retryOrderExports,
+  startOrderExportWorker,
+} from "../services/order-exports.js";
+
+const STATUS_BADGES = {
+  pending: { tone: "info", label: "Pending" },
+  processing: { tone: "info", label: "Exporting" },
+  exported: { tone: "success", label: "Exported" },
+  failed: { tone: "critical", label: "Failed" },
+  skipped: { tone: "attention", label: "Skipped" },
+  held: { tone: "warning", label: "Held for mapping" },
+  handled: { tone: undefined, label: "Handled manually" },
+  cancelled: { tone: undefined, label: "Cancelled" },
+};
+const RETRYABLE_STATUSES = ["failed", "skipped", "held"];
+const canRetry = (item) => RETRYABLE_STATUSES.includes(item.status) && !(item.kind === "reversal" && item.status === "held");
+const badgeFor = (item) => (item.kind === "reversal" && item.status === "held"
+  ? { tone: "warning", label: "Reverse in FINA" }
+  : STATUS_BADGES[item.status]);
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const orderExport = await getOrderExport(session.shop, params.exportId);
+  if (!orderExport) throw new Response("Order export not found", { status: 404 });
+
+  return json({ orderExport });
+};
+
+export const action = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "retry") {
+      const retried = await retryOrderExports(session.shop, { ids: [params.exportId] });
+      startOrderExportWorker(retried);
+      return retried.length
+        ? json({ success: true, message: "Sending the order to FINA again" })
+        : json({ success: false, error: "This order can't be retried anymore" }, { status: 400 });
+    }
+
+    if (intent === "map") {
+      const orderExport = await mapHeldOrderLines(session.shop, params.exportId, JSON.parse(formData.get("codes") || "{}"));
+      startOrderExportWorker([orderExport]);
+      return json({ success: true, message: "Lines mapped, sending the order to FINA" });
+    }
+
+    if (intent === "handled") {
+      const handled = await markOrderExportsHandled(session.shop, [params.exportId], withThrottling(admin, session.shop));
+      return handled
+        ? json({ success: true, message: "Marked as handled" })
+        : json({ success: false, error: "This order can't be marked as handled anymore" }, { status: 400 });
+    }
+
+    return json({ success: false, error: `Unknown intent "${intent}"` }, { status: 400 });
+  } catch (error) {
+    console.error(`❌ Order export ${intent} failed for ${session.shop}:`, error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "–");
+
+function JsonBlock({ value }) {
+  return (
+    <Box
+      padding="400"
+      background="bg-surface-active"
+      borderWidth="025"
+      borderRadius="200"
+      borderColor="border"
+      overflowX="scroll"
+    >
+      <pre style={{ margin: 0, fontSize: "12px" }}>
+        <code>{JSON.stringify(value, null, 2)}</code>
+      </pre>
+    </Box>
+  );
+}
+
+export default function OrderExportDetail() {
+  const { orderExport } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [showPayload, setShowPayload] = useState(false);
+  const [codes, setCodes] = useState({});
+  const setCode = (lineId) => (value) => setCodes((prev) => ({ ...prev, [lineId]: value }));
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.message) shopify.toast.show(`✅ ${fetcher.data.message}`);
+    if (fetcher.data.error) shopify.toast.show(`❌ ${fetcher.data.error}`, { isError: true });
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  const busyIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+  const retryable = RETRYABLE_STATUSES.includes(orderExport.status);
+  const badge = badgeFor(orderExport);
+  const unmappedLines = orderExport.unmappedLines ?? [];
+  const held = orderExport.status === "held";
+  const reversal = orderExport.kind === "reversal";
+  const title = `${reversal ? "Cancellation of order" : "Order"} ${orderExport.orderName ?? orderExport.orderId}`;
+
+  return (
+    <Page>
+      <TitleBar title={title} />
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <InlineStack gap="200" blockAlign="center">
+              <Text variant="headingMd" as="h2">{title}</Text>
+              <Badge tone={badge?.tone}>{badge?.label ?? orderExport.status}</Badge>
+            </InlineStack>
+            <Text variant="bodySm" as="p" tone="subdued">
+              Received {formatDate(orderExport.createdAt)}
+              {` · ${orderExport.attempts} attempt(s)`}
+              {orderExport.exportedAt && ` · exported ${formatDate(orderExport.exportedAt)}`}
+              {orderExport.finaDocId && ` · FINA document ${orderExport.finaDocId}`}
+              {orderExport.reversedDocId && ` · reverses FINA document ${orderExport.reversedDocId}`}
+              {orderExport.status === "failed" && orderExport.nextAttemptAt && ` · next retry ${formatDate(orderExport.nextAttemptAt)}`}
+            </Text>
+          </BlockStack>
+          <InlineStack gap="200">
+            <Button url="/app/orders">All orders</Button>
+            <Button url={`shopify://admin/orders/${orderExport.orderId}`} target="_top">Open order</Button>
+            {retryable && (
+              <Button
+                variant={canRetry(orderExport) ? undefined : "primary"}
+                onClick={() => fetcher.submit({ intent: "handled" }, { method: "POST" })}
+                loading={busyIntent === "handled"}
+                disabled={Boolean(busyIntent)}
+              >
+                Mark as handled
+              </Button>
+            )}
+            {canRetry(orderExport) && (
+              <Button
+                variant="primary"
+                onClick={() => fetcher.submit({ intent: "retry" }, { method: "POST" })}
+                loading={busyIntent === "retry"}
+                disabled={Boolean(busyIntent)}
+              >
+                Retry
+              </Button>
+            )}
+          </InlineStack>
+        </InlineStack>
+
+        {orderExport.lastError && (
+          <Banner
+            tone={orderExport.status === "failed" ? "critical" : "warning"}
+            title={orderExport.status === "failed" ? "FINA error" : reversal ? "Cancellation" : "Not sent to FINA"}
+          >
+            <Text as="p" breakWord>{orderExport.lastError}</Text>
+          </Banner>
+        )}
+
+        {unmappedLines.length > 0 && (
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingSm" as="h3">Line items not in FINA</Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                {held
+                  ? "Enter the FINA product code each line should be posted as, then export the order."
+                  : "Lines of the latest attempt whose SKU isn't a FINA product code, handled by the policy in Settings."}
+              </Text>
+              <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", ...(held ? ["text"] : [])]}
+                headings={["SKU", "Item", "Quantity", "Price", ...(held ? ["FINA product code"] : [])]}
+                rows={unmappedLines.map((line) => [
+                  line.sku ?? "–",
+                  line.title,
+                  line.quantity,
+                  Number(line.price).toFixed(2),
+                  ...(held ? [
+                    <TextField
+                      key={line.lineId}
+                      label="FINA product code"
+                      labelHidden
+                      value={codes[line.lineId] ?? ""}
+                      onChange={setCode(line.lineId)}
+                      autoComplete="off"
+                    />,
+                  ] : []),
+                ])}
+              />
+              {held && (
+                <InlineStack align="end">
+                  <Button
+                    variant="primary"
+                    onClick={() => fetcher.submit({ intent: "map", codes: JSON.stringify(codes) }, { method: "POST" })}
+                    loading={busyIntent === "map"}
+                    disabled={Boolean(busyIntent)}
+                  >
+                    Map and export
+                  </Button>
+                </InlineStack>
+              )}
+            </BlockStack>
+          </Card>
+        )}
+
+        {!reversal && (
+          <Card>
+            <BlockStack gap="300">
+              <Text variant="headingSm" as="h3">FINA document</Text>
+              <Text variant="bodySm" as="p" tone="subdued">
+                The saveDocProductOut request body of the latest attempt.
+              </Text>
+              {orderExport.finaDocument
+                ? <JsonBlock value={orderExport.finaDocument} />
+                : <Text as="p" tone="subdued">No document was built yet.</Text>}
+            </BlockStack>
+          </Card>
+        )}
+
+        <Card>
+          <BlockStack gap="300">
+            <InlineStack align="space-between" blockAlign="center">
+              <Text variant="headingSm" as="h3">Shopify order</Text>
+              <Button variant="plain" onClick={() => setShowPayload((shown) => !shown)}>
+                {showPayload ? "Hide payload" : "Show payload"}
+              </Button>
+            </InlineStack>
+            {showPayload && <JsonBlock value={orderExport.payload} />}
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
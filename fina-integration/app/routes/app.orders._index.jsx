@@ -0,0 +1,261 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useNavigate, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Tabs,
+  TextField,
+  IndexTable,
+  Pagination,
+  Badge,
+  Button,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { withThrottling } from "../services/shopify-admin.js";
+import {
+  EXPORT_STATUSES,
+  getOrderExports,
+  markOrderExportsHandled,
+  retryOrderExports,
+  startOrderExportWorker,
+} from "../services/order-exports.js";
+
+const PAGE_SIZE = 50;
+const STATUS_TABS = [
+  { id: "failed", content: "Failed" },
+  { id: "pending", content: "Pending" },
+  { id: "processing", content: "Exporting" },
+  { id: "exported", content: "Exported" },
+  { id: "held", content: "Held" },
+  { id: "skipped", content: "Skipped" },
+  { id: "handled", content: "Handled manually" },
+  { id: "cancelled", content: "Cancelled" },
+];
+const STATUS_BADGES = {
+  pending: { tone: "info", label: "Pending" },
+  processing: { tone: "info", label: "Exporting" },
+  exported: { tone: "success", label: "Exported" },
+  failed: { tone: "critical", label: "Failed" },
+  skipped: { tone: "attention", label: "Skipped" },
+  held: { tone: "warning", label: "Held for mapping" },
+  handled: { tone: undefined, label: "Handled manually" },
+  cancelled: { tone: undefined, label: "Cancelled" },
+};
+const RETRYABLE_STATUSES = ["failed", "skipped", "held"];
+const canRetry = (item) => RETRYABLE_STATUSES.includes(item.status) && !(item.kind === "reversal" && item.status === "held");
+const badgeFor = (item) => (item.kind === "reversal" && item.status === "held"
+  ? { tone: "warning", label: "Reverse in FINA" }
+  : STATUS_BADGES[item.status]);
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const url = new URL(request.url);
+  const status = EXPORT_STATUSES.includes(url.searchParams.get("status")) ? url.searchParams.get("status") : "failed";
+  const query = url.searchParams.get("q")?.trim() || "";
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+
+  const { items, total, counts } = await getOrderExports(session.shop, { status, query, page, pageSize: PAGE_SIZE });
+  return json({ items, total, counts, status, query, page });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ids = String(formData.get("ids") || "").split(",").filter(Boolean);
+
+  try {
+    if (intent === "retry" || intent === "retryAll") {
+      const retried = await retryOrderExports(session.shop, intent === "retry"
+        ? { ids }
+        : { status: formData.get("status"), query: String(formData.get("q") || "").trim() });
+      startOrderExportWorker(retried);
+      return json({ success: true, message: `Sending ${retried.length} order(s) to FINA again` });
+    }
+
+    if (intent === "handled") {
+      const handled = await markOrderExportsHandled(session.shop, ids, withThrottling(admin, session.shop));
+      return json({ success: true, message: `Marked ${handled} order(s) as handled` });
+    }
+
+    return json({ success: false, error: `Unknown intent "${intent}"` }, { status: 400 });
+  } catch (error) {
+    console.error(`❌ Order export ${intent} failed for ${session.shop}:`, error);
+    return json({ success: false, error: error.message }, { status: 500 });
+  }
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "–");
+
+export default function OrderExports() {
+  const { items, total, counts, status, query, page } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+  const [search, setSearch] = useState(query);
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } = useIndexResourceState(items);
+  const selectable = RETRYABLE_STATUSES.includes(status);
+
+  // Search as you type, without a navigation per keystroke
+  useEffect(() => {
+    if (search.trim() === query) return;
+    const timer = setTimeout(() => {
+      const next = new URLSearchParams(searchParams);
+      if (search.trim()) next.set("q", search.trim());
+      else next.delete("q");
+      next.delete("page");
+      setSearchParams(next);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, query, searchParams, setSearchParams]);
+
+  useEffect(() => {
+    if (fetcher.state !== "idle" || !fetcher.data) return;
+    if (fetcher.data.message) shopify.toast.show(`✅ ${fetcher.data.message}`);
+    if (fetcher.data.error) shopify.toast.show(`❌ ${fetcher.data.error}`, { isError: true });
+    clearSelection();
+  }, [fetcher.state, fetcher.data, shopify, clearSelection]);
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    next.set(key, value);
+    if (key !== "page") next.delete("page");
+    setSearchParams(next);
+  };
+
+  const submit = (intent, ids, extra = {}) => fetcher.submit({ intent, ids: ids.join(","), ...extra }, { method: "POST" });
+
+  const busy = fetcher.state !== "idle";
+
+  return (
+    <Page>
+      <TitleBar title="Orders" />
+      <BlockStack gap="400">
+        <Text variant="bodySm" as="p" tone="subdued">
+          Shopify orders sent to FINA as sales documents. Failed exports are retried automatically with growing
+          intervals; one interrupted or timed out while posting isn&apos;t, since FINA may already have it. Retry one after
+          fixing the cause, or mark it as handled once it is in FINA some other way. Cancelled orders whose document
+          is in FINA are held until it is reversed there and they are marked as handled.
+        </Text>
+        <Card padding="0">
+          <Tabs
+            tabs={STATUS_TABS.map((tab) => ({ ...tab, content: `${tab.content} (${counts[tab.id] ?? 0})` }))}
+            selected={Math.max(0, STATUS_TABS.findIndex((tab) => tab.id === status))}
+            onSelect={(index) => setParam("status", STATUS_TABS[index].id)}
+          />
+          <div style={{ padding: "var(--p-space-300)" }}>
+            <InlineStack gap="300" blockAlign="center" wrap={false}>
+              <div style={{ flexGrow: 1 }}>
+                <TextField
+                  label="Search"
+                  labelHidden
+                  value={search}
+                  onChange={setSearch}
+                  placeholder="Search order number or id"
+                  clearButton
+                  onClearButtonClick={() => setSearch("")}
+                  autoComplete="off"
+                />
+              </div>
+              {selectable && total > 0 && (
+                <Button
+                  onClick={() => submit("retryAll", [], { status, q: query })}
+                  loading={busy && fetcher.formData?.get("intent") === "retryAll"}
+                  disabled={busy}
+                >
+                  {`Retry all ${total}`}
+                </Button>
+              )}
+            </InlineStack>
+          </div>
+          <IndexTable
+            resourceName={{ singular: "order", plural: "orders" }}
+            itemCount={items.length}
+            selectable={selectable}
+            selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+            onSelectionChange={handleSelectionChange}
+            promotedBulkActions={selectable ? [
+              { content: "Retry", onAction: () => submit("retry", selectedResources) },
+              { content: "Mark as handled", onAction: () => submit("handled", selectedResources) },
+            ] : undefined}
+            headings={[
+              { title: "Order" },
+              { title: "Type" },
+              { title: "Status" },
+              { title: "Attempts", alignment: "end" },
+              { title: "FINA document" },
+              { title: "Error" },
+              { title: "Received" },
+              { title: "" },
+            ]}
+          >
+            {items.map((item, index) => (
+              <IndexTable.Row
+                id={item.id}
+                key={item.id}
+                position={index}
+                selected={selectedResources.includes(item.id)}
+                disabled={busy}
+              >
+                <IndexTable.Cell>
+                  <Text as="span" fontWeight="semibold">{item.orderName ?? item.orderId}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>{item.kind === "reversal" ? "Cancellation" : "Sale"}</IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Badge tone={badgeFor(item)?.tone}>{badgeFor(item)?.label ?? item.status}</Badge>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{item.attempts}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>{item.finaDocId ?? "–"}</IndexTable.Cell>
+                <IndexTable.Cell>
+                  <BlockStack gap="050">
+                    {item.lastError && (
+                      <Text as="span" tone={item.status === "failed" ? "critical" : "subdued"} truncate>
+                        {item.lastError}
+                      </Text>
+                    )}
+                    {item.nextAttemptAt && item.status === "failed" && (
+                      <Text as="span" tone="subdued">Retry {formatDate(item.nextAttemptAt)}</Text>
+                    )}
+                  </BlockStack>
+                </IndexTable.Cell>
+                <IndexTable.Cell>{formatDate(item.createdAt)}</IndexTable.Cell>
+                <IndexTable.Cell>
+                  {/* Keep clicks on the buttons from toggling the row selection */}
+                  <div onClick={(event) => event.stopPropagation()} role="presentation">
+                    <InlineStack gap="200" wrap={false}>
+                      {canRetry(item) && (
+                        <Button size="slim" onClick={() => submit("retry", [item.id])} disabled={busy}>Retry</Button>
+                      )}
+                      <Button size="slim" variant="plain" onClick={() => navigate(`/app/orders/${item.id}`)}>Details</Button>
+                    </InlineStack>
+                  </div>
+                </IndexTable.Cell>
+              </IndexTable.Row>
+            ))}
+          </IndexTable>
+          <InlineStack align="center">
+            <div style={{ padding: "var(--p-space-300)" }}>
+              <Pagination
+                hasPrevious={page > 1}
+                onPrevious={() => setParam("page", String(page - 1))}
+                hasNext={page * PAGE_SIZE < total}
+                onNext={() => setParam("page", String(page + 1))}
+                label={`${total === 0 ? 0 : (page - 1) * PAGE_SIZE + 1}–${Math.min(page * PAGE_SIZE, total)} of ${total}`}
+              />
+            </div>
+          </InlineStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
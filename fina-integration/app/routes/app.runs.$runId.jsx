@@ -0,0 +1,320 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData, useSearchParams } from "@remix-run/react";
+import {
+  Page,
+  Card,
+  BlockStack,
+  InlineStack,
+  Text,
+  Tabs,
+  TextField,
+  DataTable,
+  Pagination,
+  Banner,
+  Badge,
+  Button,
+  ButtonGroup,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getApplyRun,
+  getSyncDiffs,
+  getSyncResults,
+  getSyncRun,
+  runSyncWorker,
+  startApplyRun,
+} from "../services/sync-runs.js";
+
+const PAGE_SIZE = 50;
+const DIFF_FILTERS = [
+  { id: "all", content: "All" },
+  { id: "quantity", content: "Quantity changes" },
+  { id: "price", content: "Price changes" },
+  { id: "not_found", content: "Not found" },
+];
+const RESULT_FILTERS = [
+  { id: "all", content: "All" },
+  { id: "updated", content: "Updated" },
+  { id: "no_change", content: "No change" },
+  { id: "error", content: "Errors" },
+  { id: "not_found", content: "Not found" },
+];
+const STATUS_BADGES = {
+  updated: { tone: "success", label: "Updated" },
+  no_change: { tone: undefined, label: "No change" },
+  error: { tone: "critical", label: "Error" },
+  not_found: { tone: "attention", label: "Not found" },
+};
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const run = await getSyncRun(session.shop, params.runId);
+  if (!run) throw new Response("Sync run not found", { status: 404 });
+
+  // Dry runs open on their diff, everything else on the per-SKU results
+  const url = new URL(request.url);
+  const view = run.dryRun && url.searchParams.get("view") !== "results" ? "diff" : "results";
+  const filters = view === "diff" ? DIFF_FILTERS : RESULT_FILTERS;
+  const filter = filters.some((f) => f.id === url.searchParams.get("filter")) ? url.searchParams.get("filter") : "all";
+  const query = url.searchParams.get("q")?.trim() || "";
+  const page = Math.max(1, Number(url.searchParams.get("page")) || 1);
+
+  const { rows, total, counts } = view === "diff"
+    ? await getSyncDiffs(session.shop, run.id, { filter, query, page, pageSize: PAGE_SIZE })
+      .then(({ diffs, ...rest }) => ({ rows: diffs, ...rest }))
+    : await getSyncResults(session.shop, run.id, { status: filter, query, page, pageSize: PAGE_SIZE })
+      .then(({ results, ...rest }) => ({ rows: results, ...rest }));
+  const applyRun = run.dryRun ? await getApplyRun(session.shop, run.id) : null;
+
+  return json({ run, applyRun, view, rows, total, counts, filter, query, page });
+};
+
+export const action = async ({ request, params }) => {
+  const { session, redirect } = await authenticate.admin(request);
+
+  const { run, created, error } = await startApplyRun(session.shop, params.runId);
+  if (!created) {
+    return json({ success: false, error }, { status: 400 });
+  }
+
+  runSyncWorker(run);
+  return redirect("/app");
+};
+
+const formatChange = (from, to, format = String) => (
+  to === null || to === undefined ? "–" : `${from === null || from === undefined ? "–" : format(from)} → ${format(to)}`
+);
+const formatPrice = (value) => Number(value).toFixed(2);
+const formatValue = (value) => (value === null || value === undefined ? "–" : String(value));
+const formatAttributes = (attributes) => (attributes || [])
+  .map((change) => {
+    const from = Array.isArray(change.from) ? change.from.join(", ") : change.from;
+    const name = change.label ?? (change.target === "metafield" ? change.option : change.target);
+    return `${name}: ${from || "–"} → ${change.to}`;
+  })
+  .join("; ") || "–";
+
+const runTitle = (run) => {
+  if (run.mode === "apply") return "Apply run";
+  const mode = run.mode === "incremental" ? "Incremental" : "Full";
+  return run.dryRun ? `${mode} dry run` : `${mode} sync`;
+};
+
+export default function SyncRunReport() {
+  const { run, applyRun, view, rows, total, counts, filter, query, page } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [search, setSearch] = useState(query);
+  const [exporting, setExporting] = useState(false);
+
+  // Search as you type, without a navigation per keystroke
+  useEffect(() => {
+    if (search.trim() === query) return;
+    const timer = setTimeout(() => {
+      const next = new URLSearchParams(searchParams);
+      if (search.trim()) next.set("q", search.trim());
+      else next.delete("q");
+      next.delete("page");
+      setSearchParams(next);
+    }, 400);
+    return () => clearTimeout(timer);
+  }, [search, query, searchParams, setSearchParams]);
+
+  useEffect(() => {
+    if (fetcher.data && !fetcher.data.success) {
+      shopify.toast.show(`❌ ${fetcher.data.error}`, { isError: true });
+    }
+  }, [fetcher.data, shopify]);
+
+  const setParam = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    next.set(key, value);
+    if (key !== "page") next.delete("page");
+    setSearchParams(next);
+  };
+  const setView = (nextView) => {
+    setSearch("");
+    setSearchParams(new URLSearchParams({ view: nextView }));
+  };
+
+  // A plain link would skip App Bridge's session token, so fetch and save the blob
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const params = new URLSearchParams({ status: filter, q: query });
+      const response = await fetch(`/api/sync-runs/${run.id}/csv?${params}`);
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+      const fileName = response.headers.get("Content-Disposition")?.match(/filename="(.+)"/)?.[1] ?? `${run.id}.csv`;
+      const href = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = href;
+      link.download = fileName;
+      link.click();
+      URL.revokeObjectURL(href);
+    } catch (error) {
+      shopify.toast.show(`❌ ${error.message}`, { isError: true });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const changeCount = view === "diff" ? counts.all - counts.not_found : 0;
+  const canApply = run.dryRun && run.status === "completed" && !applyRun && changeCount > 0;
+  const filters = view === "diff" ? DIFF_FILTERS : RESULT_FILTERS;
+
+  const table = view === "diff"
+    ? {
+      headings: ["SKU", "Product", "Variant", "Quantity", "Price", "Compare-at", "B2B price list", "Fields", "Reason"],
+      rows: rows.map((diff) => [
+        diff.sku,
+        diff.productTitle ?? "–",
+        diff.status === "not_found"
+          ? <Badge tone="attention">Not found</Badge>
+          : <Badge>{diff.role === "b2b" ? "B2B" : "Retail"}</Badge>,
+        formatChange(diff.oldQuantity, diff.newQuantity),
+        formatChange(diff.oldPrice, diff.newPrice, formatPrice),
+        diff.clearCompareAtPrice
+          ? `${formatPrice(diff.oldCompareAtPrice)} → cleared`
+          : formatChange(diff.oldCompareAtPrice, diff.newCompareAtPrice, formatPrice),
+        formatChange(diff.oldB2bPrice, diff.newB2bPrice, formatPrice),
+        formatAttributes(diff.attributes),
+        diff.reason ?? "",
+      ]),
+    }
+    : {
+      headings: ["SKU", "Status", "FINA qty", "Reserved", "B2C price", "B2B price", "Shopify qty", "Shopify price", "Message"],
+      rows: rows.map((result) => [
+        result.sku,
+        <Badge key="status" tone={STATUS_BADGES[result.status]?.tone}>
+          {STATUS_BADGES[result.status]?.label ?? result.status}
+        </Badge>,
+        formatValue(result.finaQuantity),
+        formatValue(result.reservedQuantity),
+        formatValue(result.finaB2cPrice),
+        formatValue(result.finaB2bPrice),
+        formatValue(result.shopifyQuantity),
+        formatValue(result.shopifyPrice),
+        result.message ?? "",
+      ]),
+    };
+
+  const trippedGuards = run.guardReport?.checks?.filter((check) => check.tripped) ?? [];
+
+  return (
+    <Page>
+      <TitleBar title={run.dryRun && view === "diff" ? "Dry run diff" : "Sync report"} />
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingMd" as="h2">
+              {runTitle(run)} · {run.status}
+            </Text>
+            <Text variant="bodySm" as="p" tone="subdued">
+              Started {new Date(run.createdAt).toLocaleString()}
+              {run.finishedAt && `, finished ${new Date(run.finishedAt).toLocaleString()}`}
+              {` · ${run.updated} ${run.dryRun ? "to update" : "updated"}, ${run.noChange} unchanged, ${run.errors} errors, ${run.notFound} not found`}
+            </Text>
+          </BlockStack>
+          <InlineStack gap="200">
+            <Button url="/app/runs">All runs</Button>
+            {view === "results" && (
+              <Button onClick={handleExport} loading={exporting}>
+                Export CSV
+              </Button>
+            )}
+            {view === "diff" && (
+              <Button
+                variant="primary"
+                disabled={!canApply}
+                loading={fetcher.state !== "idle"}
+                onClick={() => fetcher.submit({}, { method: "POST" })}
+              >
+                {`Apply ${changeCount} change${changeCount === 1 ? "" : "s"}`}
+              </Button>
+            )}
+          </InlineStack>
+        </InlineStack>
+        {run.dryRun && (
+          <ButtonGroup variant="segmented">
+            <Button pressed={view === "diff"} onClick={() => setView("diff")}>Diff</Button>
+            <Button pressed={view === "results"} onClick={() => setView("results")}>Results per SKU</Button>
+          </ButtonGroup>
+        )}
+        {run.error && run.status !== "blocked" && run.status !== "aborted" && <Banner tone="critical">{run.error}</Banner>}
+        {trippedGuards.length > 0 && (
+          <Banner
+            tone="warning"
+            title={run.dryRun
+              ? "A sync with this data would be blocked by the safety thresholds"
+              : `${run.status === "aborted" ? "Aborted" : "Blocked"} by the safety thresholds before writing anything`}
+          >
+            <BlockStack gap="100">
+              {trippedGuards.map((check) => (
+                <Text key={check.guard} as="p">
+                  {check.message}{check.examples?.length > 0 && ` (e.g. ${check.examples.join(", ")})`}
+                </Text>
+              ))}
+            </BlockStack>
+          </Banner>
+        )}
+        {view === "diff" && run.status !== "completed" && (
+          <Banner tone="warning">This dry run is {run.status}; its diff can only be applied once it completes.</Banner>
+        )}
+        {applyRun && (
+          <Banner tone={applyRun.status === "completed" ? "success" : applyRun.status === "failed" ? "critical" : "info"}>
+            This diff was applied on {new Date(applyRun.createdAt).toLocaleString()} ({applyRun.status}:
+            {" "}{applyRun.updated} applied, {applyRun.errors} errors).{" "}
+            <Button variant="plain" url={`/app/runs/${applyRun.id}`}>View report</Button>
+          </Banner>
+        )}
+        {view === "diff" && (
+          <Text variant="bodySm" as="p" tone="subdued">
+            Applying executes exactly the changes below, as previewed. Stock or prices that moved in FINA since the
+            preview are picked up by the next sync.
+          </Text>
+        )}
+        <Card padding="0">
+          <Tabs
+            tabs={filters.map((f) => ({ ...f, content: `${f.content} (${counts[f.id] ?? 0})` }))}
+            selected={Math.max(0, filters.findIndex((f) => f.id === filter))}
+            onSelect={(index) => setParam("filter", filters[index].id)}
+          />
+          <BlockStack gap="300">
+            <div style={{ padding: "var(--p-space-300)" }}>
+              <TextField
+                label="Search SKU"
+                labelHidden
+                value={search}
+                onChange={setSearch}
+                placeholder="Search SKU"
+                clearButton
+                onClearButtonClick={() => setSearch("")}
+                autoComplete="off"
+              />
+            </div>
+            <DataTable
+              columnContentTypes={table.headings.map(() => "text")}
+              headings={table.headings}
+              rows={table.rows}
+            />
+            <InlineStack align="center">
+              <div style={{ padding: "var(--p-space-300)" }}>
+                <Pagination
+                  hasPrevious={page > 1}
+                  onPrevious={() => setParam("page", String(page - 1))}
+                  hasNext={page * PAGE_SIZE < total}
+                  onNext={() => setParam("page", String(page + 1))}
+                  label={`${total === 0 ? 0 : (page - 1) * PAGE_SIZE + 1}–${Math.min(page * PAGE_SIZE, total)} of ${total}`}
+                />
+              </div>
+            </InlineStack>
+          </BlockStack>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
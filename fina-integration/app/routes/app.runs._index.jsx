@@ -0,0 +1,93 @@
+import { json } from "@remix-run/node";
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import { Page, Card, IndexTable, Badge, Text, Box } from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { listSyncRuns } from "../services/sync-runs.js";
+
+const STATUS_TONES = {
+  pending: "info",
+  running: "info",
+  completed: "success",
+  failed: "critical",
+  cancelled: undefined,
+  blocked: "warning",
+  aborted: "critical",
+};
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const runs = await listSyncRuns(session.shop, { take: 50 });
+
+  return json({ runs });
+};
+
+const runType = (run) => {
+  if (run.mode === "apply") return "Apply diff";
+  const mode = run.mode === "incremental" ? "Incremental" : "Full";
+  return run.dryRun ? `${mode} (dry run)` : mode;
+};
+
+export default function SyncRuns() {
+  const { runs } = useLoaderData();
+  const navigate = useNavigate();
+
+  return (
+    <Page>
+      <TitleBar title="Sync runs" />
+      <Card padding="0">
+        {runs.length === 0 ? (
+          <Box padding="400">
+            <Text as="p" tone="subdued">
+              No syncs yet. Runs started from the dashboard or by the schedule show up here with their per-SKU report.
+            </Text>
+          </Box>
+        ) : (
+          <IndexTable
+            resourceName={{ singular: "run", plural: "runs" }}
+            itemCount={runs.length}
+            selectable={false}
+            headings={[
+              { title: "Started" },
+              { title: "Type" },
+              { title: "Status" },
+              { title: "Products", alignment: "end" },
+              { title: "Updated", alignment: "end" },
+              { title: "Errors", alignment: "end" },
+              { title: "Not found", alignment: "end" },
+            ]}
+          >
+            {runs.map((run, index) => (
+              <IndexTable.Row
+                id={run.id}
+                key={run.id}
+                position={index}
+                onClick={() => navigate(`/app/runs/${run.id}`)}
+              >
+                <IndexTable.Cell>
+                  <Text as="span" fontWeight="semibold">{new Date(run.createdAt).toLocaleString()}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>{runType(run)}</IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Badge tone={STATUS_TONES[run.status]}>{run.status}</Badge>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{run.totalProducts}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{run.updated}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{run.errors}</Text>
+                </IndexTable.Cell>
+                <IndexTable.Cell>
+                  <Text as="span" alignment="end" numeric>{run.notFound}</Text>
+                </IndexTable.Cell>
+              </IndexTable.Row>
+            ))}
+          </IndexTable>
+        )}
+      </Card>
+    </Page>
+  );
+}
@@ -0,0 +1,948 @@
+import { useEffect, useState } from "react";
+import { json } from "@remix-run/node";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Card,
+  FormLayout,
+  TextField,
+  Button,
+  BlockStack,
+  InlineStack,
+  Box,
+  Text,
+  Banner,
+  Checkbox,
+  ChoiceList,
+  Link,
+  Select,
+} from "@shopify/polaris";
+import { TitleBar, useAppBridge } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createFinaClient } from "../services/fina-client.js";
+import {
+  DEFAULT_FINA_SETTINGS,
+  getFinaConnection,
+  resolveConnectionInput,
+  saveFinaConnection,
+} from "../services/fina-connection.js";
+import {
+  getSyncSettings,
+  saveMissingProductSettings,
+  saveSyncGuards,
+  saveSyncSchedule,
+} from "../services/sync-settings.js";
+import {
+  getLocationMappings,
+  getShopifyLocations,
+  saveLocationMappings,
+} from "../services/location-mapping.js";
+import { getSavedPriceMapping, savePriceMapping } from "../services/price-mapping.js";
+import { getFieldMappings, saveFieldMappings } from "../services/product-attributes.js";
+import {
+  DEFAULT_VISIBILITY,
+  getSavedVisibility,
+  listPublications,
+  saveVisibility,
+} from "../services/visibility.js";
+import { getOrderSettings, saveOrderSettings } from "../services/order-settings.js";
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, "0")}:00 UTC`,
+  value: String(hour),
+}));
+
+const GUARD_ACTION_OPTIONS = [
+  { label: "Block the run until someone confirms it", value: "confirm" },
+  { label: "Abort the run", value: "abort" },
+];
+
+const FINA_FIELD_OPTIONS = [
+  { label: "Name", value: "name" },
+  { label: "Barcode", value: "barcode" },
+  { label: "Unit", value: "unit" },
+  { label: "Group", value: "group" },
+  { label: "Additional field (usr_column_…)", value: "custom" },
+];
+const FINA_FIELDS = ["name", "barcode", "unit", "group"];
+
+const ATTRIBUTE_TARGET_OPTIONS = [
+  { label: "Product title", value: "title" },
+  { label: "Variant barcode", value: "barcode" },
+  { label: "Product type", value: "productType" },
+  { label: "Vendor", value: "vendor" },
+  { label: "Tag", value: "tags" },
+  { label: "Product metafield", value: "metafield" },
+];
+
+const ATTRIBUTE_POLICY_OPTIONS = [
+  { label: "FINA wins", value: "fina" },
+  { label: "Only fill empty", value: "fill_empty" },
+  { label: "Shopify wins", value: "shopify" },
+];
+
+const PRICE_ROUNDING_OPTIONS = [
+  { label: "To the cent", value: "none" },
+  { label: "To 0.05", value: "0.05" },
+  { label: "To 0.10", value: "0.10" },
+  { label: "To whole amounts", value: "whole" },
+  { label: ".99 endings (12.00 → 11.99, 12.01 → 12.99)", value: "99" },
+];
+
+const UNMAPPED_LINE_OPTIONS = [
+  { label: "Fail the export", value: "fail" },
+  { label: "Post them as a placeholder FINA product or service", value: "placeholder" },
+  { label: "Hold the order until the lines are mapped", value: "hold" },
+];
+
+const PLACEHOLDER_TYPE_OPTIONS = [
+  { label: "Product", value: "product" },
+  { label: "Service", value: "service" },
+];
+
+const VARIANT_SELECTOR_OPTIONS = [
+  { label: "Variant position (1st retail, 2nd B2B)", value: "position" },
+  { label: "Variant option value", value: "option" },
+  { label: "Variant metafield value", value: "metafield" },
+  { label: "SKU suffix", value: "skuSuffix" },
+  { label: "No B2B variant, B2B catalog price list", value: "priceList" },
+];
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const connection = await getFinaConnection(session.shop);
+  const syncSettings = await getSyncSettings(session.shop);
+  const locations = await getShopifyLocations(admin);
+  const locationMappings = await getLocationMappings(session.shop);
+  const priceMapping = await getSavedPriceMapping(session.shop);
+  const fieldMappings = await getFieldMappings(session.shop);
+  const visibility = (await getSavedVisibility(session.shop)) ?? DEFAULT_VISIBILITY;
+  const publications = await listPublications(admin);
+  const orderSettings = await getOrderSettings(session.shop);
+
+  return json({
+    connection,
+    defaults: DEFAULT_FINA_SETTINGS,
+    schedule: {
+      fullSyncEnabled: syncSettings.fullSyncEnabled,
+      fullSyncHour: syncSettings.fullSyncHour,
+      incrementalSyncEnabled: syncSettings.incrementalSyncEnabled,
+      incrementalIntervalMinutes: syncSettings.incrementalIntervalMinutes,
+    },
+    guards: {
+      guardZeroPercent: syncSettings.guardZeroPercent,
+      guardPriceChangePercent: syncSettings.guardPriceChangePercent,
+      guardProductDropPercent: syncSettings.guardProductDropPercent,
+      guardAction: syncSettings.guardAction,
+    },
+    createMissingProducts: syncSettings.createMissingProducts,
+    locations,
+    locationMappings,
+    priceMapping,
+    fieldMappings,
+    visibility,
+    publications,
+    orderSettings,
+  });
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  try {
+    if (intent === "saveSchedule") {
+      await saveSyncSchedule(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Sync schedule saved" });
+    }
+
+    if (intent === "saveGuards") {
+      await saveSyncGuards(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Safety thresholds saved" });
+    }
+
+    if (intent === "saveMissingProducts") {
+      await saveMissingProductSettings(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Missing products setting saved" });
+    }
+
+    if (intent === "saveVisibility") {
+      await saveVisibility(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Hidden product rules saved" });
+    }
+
+    if (intent === "saveOrders") {
+      await saveOrderSettings(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Order export settings saved" });
+    }
+
+    if (intent === "saveFields") {
+      const saved = await saveFieldMappings(session.shop, JSON.parse(formData.get("mappings") || "[]"));
+      return json({ intent, success: true, message: saved ? `Mapped ${saved} product field(s)` : "Field mapping cleared" });
+    }
+
+    if (intent === "savePrices") {
+      await savePriceMapping(session.shop, Object.fromEntries(formData));
+      return json({ intent, success: true, message: "Price mapping saved" });
+    }
+
+    if (intent === "saveLocations") {
+      const locations = await getShopifyLocations(admin);
+      const mapped = await saveLocationMappings(session.shop, locations, Object.fromEntries(formData));
+      return json({
+        intent,
+        success: true,
+        message: mapped ? `Mapped ${mapped} FINA store(s)` : "Location mapping cleared",
+      });
+    }
+
+    const input = await resolveConnectionInput(session.shop, Object.fromEntries(formData));
+
+    if (intent === "test") {
+      const { baseUrl, login, password } = input;
+      const fina = createFinaClient({ credentials: { baseUrl, login, password }, retries: 0 });
+      const info = await fina.getApiInfo();
+      return json({ intent, success: true, message: "Connected to FINA successfully", info });
+    }
+
+    await saveFinaConnection(session.shop, input);
+    return json({ intent, success: true, message: "FINA connection saved" });
+
+  } catch (error) {
+    console.error(`❌ FINA settings ${intent} failed for ${session.shop}:`, error);
+    return json({
+      intent,
+      success: false,
+      error: error.message,
+      details: error.body,
+    }, { status: 400 });
+  }
+};
+
+export default function Settings() {
+  const {
+    connection,
+    defaults,
+    schedule: savedSchedule,
+    guards: savedGuards,
+    createMissingProducts: savedCreateMissingProducts,
+    locations,
+    locationMappings,
+    priceMapping,
+    fieldMappings,
+    visibility: savedVisibility,
+    publications,
+    orderSettings: savedOrderSettings,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+  const shopify = useAppBridge();
+
+  const [form, setForm] = useState({
+    baseUrl: connection?.baseUrl ?? defaults.baseUrl,
+    login: connection?.login ?? "",
+    password: "",
+    defaultStoreId: String(connection?.defaultStoreId ?? defaults.defaultStoreId),
+    b2cPriceTypeId: String(connection?.b2cPriceTypeId ?? defaults.b2cPriceTypeId),
+    b2bPriceTypeId: String(connection?.b2bPriceTypeId ?? defaults.b2bPriceTypeId),
+  });
+  const setField = (field) => (value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const [schedule, setSchedule] = useState({
+    fullSyncEnabled: savedSchedule.fullSyncEnabled,
+    fullSyncHour: String(savedSchedule.fullSyncHour),
+    incrementalSyncEnabled: savedSchedule.incrementalSyncEnabled,
+    incrementalIntervalMinutes: String(savedSchedule.incrementalIntervalMinutes),
+  });
+  const setScheduleField = (field) => (value) => setSchedule((prev) => ({ ...prev, [field]: value }));
+
+  const [guards, setGuards] = useState({
+    guardZeroPercent: savedGuards.guardZeroPercent == null ? "" : String(savedGuards.guardZeroPercent),
+    guardPriceChangePercent: savedGuards.guardPriceChangePercent == null ? "" : String(savedGuards.guardPriceChangePercent),
+    guardProductDropPercent: savedGuards.guardProductDropPercent == null ? "" : String(savedGuards.guardProductDropPercent),
+    guardAction: savedGuards.guardAction,
+  });
+  const setGuardField = (field) => (value) => setGuards((prev) => ({ ...prev, [field]: value }));
+
+  const [createMissingProducts, setCreateMissingProducts] = useState(savedCreateMissingProducts);
+
+  const [visibility, setVisibility] = useState({
+    b2cField: savedVisibility.b2cField,
+    b2bField: savedVisibility.b2bField,
+    visibleValue: savedVisibility.visibleValue,
+    unpublishHidden: savedVisibility.unpublishHidden,
+    retailPublicationId: savedVisibility.retailPublicationId ?? "",
+    b2bPublicationIds: savedVisibility.b2bPublicationIds,
+    archiveHidden: savedVisibility.archiveHidden,
+  });
+  const setVisibilityField = (field) => (value) => setVisibility((prev) => ({ ...prev, [field]: value }));
+  const publicationOptions = publications.map((publication) => ({ label: publication.name, value: publication.id }));
+  const submitVisibility = () => fetcher.submit(
+    {
+      ...visibility,
+      unpublishHidden: String(visibility.unpublishHidden),
+      b2bPublicationIds: visibility.b2bPublicationIds.join(","),
+      archiveHidden: String(visibility.archiveHidden),
+      intent: "saveVisibility",
+    },
+    { method: "POST" },
+  );
+
+  const [orderSettings, setOrderSettings] = useState({
+    unmappedLinePolicy: savedOrderSettings.unmappedLinePolicy,
+    placeholderType: savedOrderSettings.placeholderType,
+    placeholderId: savedOrderSettings.placeholderId == null ? "" : String(savedOrderSettings.placeholderId),
+  });
+  const setOrderField = (field) => (value) => setOrderSettings((prev) => ({ ...prev, [field]: value }));
+
+  const [prices, setPrices] = useState({
+    priceTypeId: priceMapping?.priceTypeId ? String(priceMapping.priceTypeId) : "",
+    compareAtPriceTypeId: priceMapping?.compareAtPriceTypeId ? String(priceMapping.compareAtPriceTypeId) : "",
+    b2bPriceTypeId: priceMapping?.b2bPriceTypeId ? String(priceMapping.b2bPriceTypeId) : "",
+    variantSelector: priceMapping?.variantSelector ?? "position",
+    selectorKey: priceMapping?.selectorKey ?? "",
+    retailValue: priceMapping?.retailValue ?? "",
+    b2bValue: priceMapping?.b2bValue ?? "",
+    retailTaxPercent: priceMapping?.retailTaxPercent == null ? "" : String(priceMapping.retailTaxPercent),
+    priceRounding: priceMapping?.priceRounding ?? "none",
+  });
+  const setPriceField = (field) => (value) => setPrices((prev) => ({ ...prev, [field]: value }));
+  const selectsByValue = prices.variantSelector === "option" || prices.variantSelector === "metafield";
+
+  const [fields, setFields] = useState(() => fieldMappings.map((mapping) => ({
+    source: FINA_FIELDS.includes(mapping.source) ? mapping.source : "custom",
+    customSource: FINA_FIELDS.includes(mapping.source) ? "" : mapping.source,
+    target: mapping.target,
+    option: mapping.option ?? "",
+    policy: mapping.policy,
+  })));
+  const setFieldRow = (index, field) => (value) => setFields((prev) => prev.map(
+    (row, i) => (i === index ? { ...row, [field]: value } : row),
+  ));
+  const addFieldRow = () => setFields((prev) => [
+    ...prev,
+    { source: "name", customSource: "", target: "title", option: "", policy: "fill_empty" },
+  ]);
+  const removeFieldRow = (index) => setFields((prev) => prev.filter((_, i) => i !== index));
+  const submitFields = () => fetcher.submit(
+    {
+      mappings: JSON.stringify(fields.map((row) => ({
+        source: row.source === "custom" ? row.customSource : row.source,
+        target: row.target,
+        option: row.option,
+        policy: row.policy,
+      }))),
+      intent: "saveFields",
+    },
+    { method: "POST" },
+  );
+
+  const [storeIds, setStoreIds] = useState(() => Object.fromEntries(
+    locations.map((location) => [
+      location.id,
+      locationMappings.find((mapping) => mapping.locationId === location.id)?.finaStoreIds.join(", ") ?? "",
+    ]),
+  ));
+  const setLocationStores = (locationId) => (value) => setStoreIds((prev) => ({ ...prev, [locationId]: value }));
+  const unavailableMappings = locationMappings.filter(
+    (mapping) => !locations.some((location) => location.id === mapping.locationId),
+  );
+
+  const submit = (intent) => fetcher.submit({ ...form, intent }, { method: "POST" });
+  const submitSchedule = () => fetcher.submit(
+    {
+      ...schedule,
+      fullSyncEnabled: String(schedule.fullSyncEnabled),
+      incrementalSyncEnabled: String(schedule.incrementalSyncEnabled),
+      intent: "saveSchedule",
+    },
+    { method: "POST" },
+  );
+  const submitLocations = () => fetcher.submit(
+    {
+      ...Object.fromEntries(Object.entries(storeIds).map(([locationId, value]) => [`stores:${locationId}`, value])),
+      intent: "saveLocations",
+    },
+    { method: "POST" },
+  );
+  const busyIntent = fetcher.state !== "idle" ? fetcher.formData?.get("intent") : null;
+
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data) {
+      shopify.toast.show(
+        fetcher.data.success ? `✅ ${fetcher.data.message}` : `❌ ${fetcher.data.error}`,
+        { isError: !fetcher.data.success },
+      );
+    }
+  }, [fetcher.state, fetcher.data, shopify]);
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+      <Layout>
+        <Layout.AnnotatedSection
+          title="FINA connection"
+          description="FINA company this shop syncs products with and posts orders to."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {!connection && (
+                <Banner tone="info">
+                  No connection saved yet. FINA_LOGIN / FINA_PASSWORD from the environment are used until you save one.
+                </Banner>
+              )}
+              <FormLayout>
+                <TextField
+                  label="Base URL"
+                  value={form.baseUrl}
+                  onChange={setField("baseUrl")}
+                  placeholder="http://178.134.149.81:8082"
+                  autoComplete="off"
+                />
+                <FormLayout.Group>
+                  <TextField
+                    label="Login"
+                    value={form.login}
+                    onChange={setField("login")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Password"
+                    type="password"
+                    value={form.password}
+                    onChange={setField("password")}
+                    helpText={connection?.hasPassword ? "Leave empty to keep the saved password" : undefined}
+                    autoComplete="new-password"
+                  />
+                </FormLayout.Group>
+                <FormLayout.Group>
+                  <TextField
+                    label="Default store id"
+                    type="number"
+                    value={form.defaultStoreId}
+                    onChange={setField("defaultStoreId")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="B2C price type"
+                    type="number"
+                    value={form.b2cPriceTypeId}
+                    onChange={setField("b2cPriceTypeId")}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="B2B price type"
+                    type="number"
+                    value={form.b2bPriceTypeId}
+                    onChange={setField("b2bPriceTypeId")}
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+              </FormLayout>
+              <InlineStack gap="200" align="end">
+                <Button onClick={() => submit("test")} loading={busyIntent === "test"}>
+                  Test connection
+                </Button>
+                <Button variant="primary" onClick={() => submit("save")} loading={busyIntent === "save"}>
+                  Save
+                </Button>
+              </InlineStack>
+              {fetcher.data?.intent === "test" && fetcher.data.success && (
+                <Box
+                  padding="400"
+                  background="bg-surface-active"
+                  borderWidth="025"
+                  borderRadius="200"
+                  borderColor="border"
+                  overflowX="scroll"
+                >
+                  <pre style={{ margin: 0, fontSize: "12px" }}>
+                    <code>
+                      {JSON.stringify(fetcher.data.info, null, 2)}
+                    </code>
+                  </pre>
+                </Box>
+              )}
+              {fetcher.data && !fetcher.data.success && fetcher.data.details && (
+                <Text variant="bodySm" as="p" tone="critical">
+                  <strong>Details:</strong> {
+                    typeof fetcher.data.details === "string"
+                      ? fetcher.data.details
+                      : JSON.stringify(fetcher.data.details)
+                  }
+                </Text>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Sync schedule"
+          description="Keep stock and prices up to date without opening the app. Runs use the shop's offline session."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <FormLayout>
+                <Checkbox
+                  label="Run a full sync every night"
+                  checked={schedule.fullSyncEnabled}
+                  onChange={setScheduleField("fullSyncEnabled")}
+                />
+                <Select
+                  label="Full sync time"
+                  options={HOUR_OPTIONS}
+                  value={schedule.fullSyncHour}
+                  onChange={setScheduleField("fullSyncHour")}
+                  disabled={!schedule.fullSyncEnabled}
+                />
+                <Checkbox
+                  label="Run incremental syncs during the day"
+                  checked={schedule.incrementalSyncEnabled}
+                  onChange={setScheduleField("incrementalSyncEnabled")}
+                />
+                <TextField
+                  label="Incremental sync every (minutes)"
+                  type="number"
+                  min="5"
+                  value={schedule.incrementalIntervalMinutes}
+                  onChange={setScheduleField("incrementalIntervalMinutes")}
+                  disabled={!schedule.incrementalSyncEnabled}
+                  autoComplete="off"
+                />
+              </FormLayout>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Schedules are checked every minute when the server runs with SYNC_SCHEDULER=in-process,
+                or whenever an external cron calls /api/cron/sync with the CRON_SECRET bearer token.
+              </Text>
+              <InlineStack align="end">
+                <Button variant="primary" onClick={submitSchedule} loading={busyIntent === "saveSchedule"}>
+                  Save schedule
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Safety thresholds"
+          description="Checked after FINA is read and before a sync writes anything, so a broken FINA answer can't wipe stock or prices."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <FormLayout>
+                <FormLayout.Group>
+                  <TextField
+                    label="Variants going to zero stock"
+                    type="number"
+                    suffix="%"
+                    value={guards.guardZeroPercent}
+                    onChange={setGuardField("guardZeroPercent")}
+                    helpText="Share of matched variants"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Price change per variant"
+                    type="number"
+                    suffix="%"
+                    value={guards.guardPriceChangePercent}
+                    onChange={setGuardField("guardPriceChangePercent")}
+                    helpText="Any single price moving more than this"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Fewer FINA products"
+                    type="number"
+                    suffix="%"
+                    value={guards.guardProductDropPercent}
+                    onChange={setGuardField("guardProductDropPercent")}
+                    helpText="Than the last clean sync"
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+                <Select
+                  label="When a threshold is exceeded"
+                  options={GUARD_ACTION_OPTIONS}
+                  value={guards.guardAction}
+                  onChange={setGuardField("guardAction")}
+                />
+              </FormLayout>
+              <Text variant="bodySm" as="p" tone="subdued">
+                Leave a threshold empty to turn it off. Blocked runs show on the dashboard and in Sync runs;
+                dry runs report the thresholds they would trip without stopping.
+              </Text>
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  onClick={() => fetcher.submit({ ...guards, intent: "saveGuards" }, { method: "POST" })}
+                  loading={busyIntent === "saveGuards"}
+                >
+                  Save thresholds
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Price mapping"
+          description="FINA price types the sync writes, and how the retail and B2B variant of a SKU are told apart."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <FormLayout>
+                <FormLayout.Group>
+                  <TextField
+                    label="Price"
+                    type="number"
+                    value={prices.priceTypeId}
+                    onChange={setPriceField("priceTypeId")}
+                    placeholder={form.b2cPriceTypeId}
+                    helpText="Retail variant price"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Compare-at price"
+                    type="number"
+                    value={prices.compareAtPriceTypeId}
+                    onChange={setPriceField("compareAtPriceTypeId")}
+                    helpText="Sale pricing: shown struck through while above the price, cleared once it isn't. Leave empty to not touch compare-at prices"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="B2B price"
+                    type="number"
+                    value={prices.b2bPriceTypeId}
+                    onChange={setPriceField("b2bPriceTypeId")}
+                    placeholder={form.b2bPriceTypeId}
+                    helpText="B2B variant price"
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+                <FormLayout.Group>
+                  <TextField
+                    label="Add tax to retail prices"
+                    type="number"
+                    suffix="%"
+                    value={prices.retailTaxPercent}
+                    onChange={setPriceField("retailTaxPercent")}
+                    helpText="For FINA price types without tax. Leave empty to use prices as they are"
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Round retail prices"
+                    options={PRICE_ROUNDING_OPTIONS}
+                    value={prices.priceRounding}
+                    onChange={setPriceField("priceRounding")}
+                    helpText="Applied to price and compare-at price, after tax"
+                  />
+                </FormLayout.Group>
+                <Select
+                  label="Recognise variants by"
+                  options={VARIANT_SELECTOR_OPTIONS}
+                  value={prices.variantSelector}
+                  onChange={setPriceField("variantSelector")}
+                />
+                {prices.variantSelector === "priceList" && (
+                  <Text variant="bodySm" as="p" tone="subdued">
+                    Every variant with the FINA code gets the retail price; B2B prices go to the price list of the
+                    catalog chosen on the <Link url="/app/b2b-catalog">B2B catalog</Link> page.
+                  </Text>
+                )}
+                {selectsByValue && (
+                  <TextField
+                    label={prices.variantSelector === "option" ? "Option name" : "Metafield"}
+                    value={prices.selectorKey}
+                    onChange={setPriceField("selectorKey")}
+                    placeholder={prices.variantSelector === "option" ? "Customer type" : "custom.price_channel"}
+                    autoComplete="off"
+                  />
+                )}
+                {(selectsByValue || prices.variantSelector === "skuSuffix") && (
+                  <FormLayout.Group>
+                    {selectsByValue && (
+                      <TextField
+                        label="Retail variant value"
+                        value={prices.retailValue}
+                        onChange={setPriceField("retailValue")}
+                        placeholder="Retail"
+                        autoComplete="off"
+                      />
+                    )}
+                    <TextField
+                      label={selectsByValue ? "B2B variant value" : "B2B SKU suffix"}
+                      value={prices.b2bValue}
+                      onChange={setPriceField("b2bValue")}
+                      placeholder={selectsByValue ? "Wholesale" : "-B2B"}
+                      helpText={selectsByValue ? undefined : "Retail SKU is the FINA code, B2B SKU is the code followed by this suffix"}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                )}
+              </FormLayout>
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  onClick={() => fetcher.submit({ ...prices, intent: "savePrices" }, { method: "POST" })}
+                  loading={busyIntent === "savePrices"}
+                >
+                  Save price mapping
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Product fields"
+          description="FINA product fields a sync writes to Shopify, and whose value wins when both have one."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {fields.length === 0 && (
+                <Text as="p" tone="subdued">
+                  No fields mapped. Syncs only update stock and prices.
+                </Text>
+              )}
+              {fields.map((row, index) => (
+                <BlockStack key={index} gap="200">
+                  <FormLayout>
+                    <FormLayout.Group condensed>
+                      <Select
+                        label="FINA field"
+                        options={FINA_FIELD_OPTIONS}
+                        value={row.source}
+                        onChange={setFieldRow(index, "source")}
+                      />
+                      {row.source === "custom" && (
+                        <TextField
+                          label="Additional field"
+                          value={row.customSource}
+                          onChange={setFieldRow(index, "customSource")}
+                          placeholder="usr_column_510"
+                          autoComplete="off"
+                        />
+                      )}
+                      <Select
+                        label="Shopify field"
+                        options={ATTRIBUTE_TARGET_OPTIONS}
+                        value={row.target}
+                        onChange={setFieldRow(index, "target")}
+                      />
+                      {(row.target === "metafield" || row.target === "tags") && (
+                        <TextField
+                          label={row.target === "metafield" ? "Metafield" : "Tag prefix"}
+                          value={row.option}
+                          onChange={setFieldRow(index, "option")}
+                          placeholder={row.target === "metafield" ? "custom.fina_unit" : "fina-group:"}
+                          helpText={row.target === "tags" ? "Optional. Replaces older tags with the same prefix" : undefined}
+                          autoComplete="off"
+                        />
+                      )}
+                      <Select
+                        label="When both have a value"
+                        options={ATTRIBUTE_POLICY_OPTIONS}
+                        value={row.policy}
+                        onChange={setFieldRow(index, "policy")}
+                      />
+                    </FormLayout.Group>
+                  </FormLayout>
+                  <InlineStack align="end">
+                    <Button variant="plain" tone="critical" onClick={() => removeFieldRow(index)}>
+                      Remove
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              ))}
+              <Text variant="bodySm" as="p" tone="subdued">
+                Empty FINA values never clear a Shopify field. &quot;Shopify wins&quot; keeps the mapping but never writes it.
+              </Text>
+              <InlineStack gap="200" align="end">
+                <Button onClick={addFieldRow}>Add field</Button>
+                <Button variant="primary" onClick={submitFields} loading={busyIntent === "saveFields"}>
+                  Save fields
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Missing products"
+          description="FINA products that have no Shopify variant with their code."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <Checkbox
+                label="Queue missing products for creation"
+                helpText="Syncs add them to Missing products, where you create them as draft products, skip them, or link them to an existing product."
+                checked={createMissingProducts}
+                onChange={setCreateMissingProducts}
+              />
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  onClick={() => fetcher.submit(
+                    { createMissingProducts: String(createMissingProducts), intent: "saveMissingProducts" },
+                    { method: "POST" },
+                  )}
+                  loading={busyIntent === "saveMissingProducts"}
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Hidden products"
+          description="FINA additional fields that hide a product per channel. Hidden variants always get stock 0."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <FormLayout>
+                <FormLayout.Group condensed>
+                  <TextField
+                    label="Retail visibility field"
+                    value={visibility.b2cField}
+                    onChange={setVisibilityField("b2cField")}
+                    placeholder="usr_column_503"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="B2B visibility field"
+                    value={visibility.b2bField}
+                    onChange={setVisibilityField("b2bField")}
+                    placeholder="usr_column_504"
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Visible when the field is"
+                    value={visibility.visibleValue}
+                    onChange={setVisibilityField("visibleValue")}
+                    placeholder="1"
+                    helpText="Products without the field are visible"
+                    autoComplete="off"
+                  />
+                </FormLayout.Group>
+                <Checkbox
+                  label="Unpublish hidden products"
+                  helpText="Publishes them again once FINA shows them."
+                  checked={visibility.unpublishHidden}
+                  onChange={setVisibilityField("unpublishHidden")}
+                />
+                {visibility.unpublishHidden && (
+                  <>
+                    <Select
+                      label="Retail sales channel"
+                      options={[{ label: "Online Store", value: "" }, ...publicationOptions]}
+                      value={visibility.retailPublicationId}
+                      onChange={setVisibilityField("retailPublicationId")}
+                    />
+                    <ChoiceList
+                      title="B2B catalog publications"
+                      allowMultiple
+                      choices={publicationOptions}
+                      selected={visibility.b2bPublicationIds}
+                      onChange={setVisibilityField("b2bPublicationIds")}
+                    />
+                  </>
+                )}
+                <Checkbox
+                  label="Archive products hidden on both channels"
+                  helpText="Archived products are tagged fina-archived and made active again when FINA shows them. Products archived by hand are left alone."
+                  checked={visibility.archiveHidden}
+                  onChange={setVisibilityField("archiveHidden")}
+                />
+              </FormLayout>
+              <InlineStack align="end">
+                <Button variant="primary" onClick={submitVisibility} loading={busyIntent === "saveVisibility"}>
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Orders"
+          description="Line items whose SKU isn't a FINA product code, or that have no SKU, when an order is sent to FINA."
+        >
+          <Card>
+            <BlockStack gap="400">
+              <FormLayout>
+                <Select
+                  label="Unmapped line items"
+                  options={UNMAPPED_LINE_OPTIONS}
+                  value={orderSettings.unmappedLinePolicy}
+                  onChange={setOrderField("unmappedLinePolicy")}
+                  helpText="The lines are listed on the order in Orders and in the order's note either way. Failed exports are retried; held ones wait on the Orders page."
+                />
+                {orderSettings.unmappedLinePolicy === "placeholder" && (
+                  <FormLayout.Group condensed>
+                    <Select
+                      label="Post as FINA"
+                      options={PLACEHOLDER_TYPE_OPTIONS}
+                      value={orderSettings.placeholderType}
+                      onChange={setOrderField("placeholderType")}
+                    />
+                    <TextField
+                      label={`FINA ${orderSettings.placeholderType} id`}
+                      type="number"
+                      value={orderSettings.placeholderId}
+                      onChange={setOrderField("placeholderId")}
+                      helpText="Gets the line's quantity and price, so the document keeps the order total"
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                )}
+              </FormLayout>
+              <InlineStack align="end">
+                <Button
+                  variant="primary"
+                  onClick={() => fetcher.submit({ ...orderSettings, intent: "saveOrders" }, { method: "POST" })}
+                  loading={busyIntent === "saveOrders"}
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+        <Layout.AnnotatedSection
+          title="Inventory locations"
+          description="FINA stores whose rest is written to each Shopify location. Several stores on one location are summed."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {locationMappings.length === 0 && (
+                <Banner tone="info">
+                  No mapping saved yet. Syncs write the rest of FINA store {connection?.defaultStoreId ?? defaults.defaultStoreId} to
+                  {locations[0] ? ` ${locations[0].name}` : " the first Shopify location"}.
+                </Banner>
+              )}
+              {unavailableMappings.length > 0 && (
+                <Banner tone="warning">
+                  {unavailableMappings.map((mapping) => mapping.locationName || mapping.locationId).join(", ")} is
+                  no longer an active location. Saving removes its FINA stores from the mapping.
+                </Banner>
+              )}
+              <FormLayout>
+                {locations.map((location) => (
+                  <TextField
+                    key={location.id}
+                    label={location.name}
+                    value={storeIds[location.id]}
+                    onChange={setLocationStores(location.id)}
+                    placeholder="e.g. 1, 4"
+                    helpText="FINA store ids, comma separated. Leave empty to not sync this location."
+                    autoComplete="off"
+                  />
+                ))}
+              </FormLayout>
+              <InlineStack align="end">
+                <Button variant="primary" onClick={submitLocations} loading={busyIntent === "saveLocations"}>
+                  Save locations
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,62 @@
+import { authenticate } from "../shopify.server";
+import { enqueueOrderExport, startOrderExportWorker } from "../services/order-exports.js";
+import { recordWebhookDelivery } from "../services/webhook-deliveries.js";
+
+// Simple loader to handle GET requests (for browser visits)
+export const loader = async () => {
+  return new Response("Webhook endpoint is active. Use POST requests only.", { 
+    status: 200,
+    headers: { "Content-Type": "text/plain" }
+  });
+};
+
+// Queues the reversal of the order next to its sale export; the worker cancels
+// a sale that isn't in FINA yet, or holds it to be reversed there (order-exports.js)
+export const action = async ({ request }) => {
+  let webhook;
+  try {
+    webhook = await authenticate.webhook(request);
+  } catch (authError) {
+    console.error("❌ Webhook authentication failed");
+    console.error("This might be a retry of an old failed webhook");
+    
+    return new Response(
+      JSON.stringify({
+        error: "Webhook authentication failed",
+        timestamp: new Date().toISOString()
+      }), 
+      { 
+        status: 401,
+        headers: {
+          "Content-Type": "application/json"
+        }
+      }
+    );
+  }
+
+  // Past authentication an error is a 500, so Shopify redelivers the webhook
+  const { payload, topic, shop, webhookId } = webhook;
+  console.log("✅ Webhook authentication successful!");
+  console.log(`Received ${topic} webhook for shop: ${shop}`);
+
+  const order = payload;
+  console.log(`Order cancelled: ${order.id} (${order.cancel_reason ?? "no reason"})`);
+
+  let results;
+  try {
+    results = await recordWebhookDelivery({ webhookId, shop, topic }, [enqueueOrderExport(shop, order, "reversal")]);
+  } catch (queueError) {
+    console.error(`❌ Could not queue the reversal of order ${order.id} for FINA:`, queueError);
+    return new Response("Queue Error", { status: 500 });
+  }
+
+  if (!results) {
+    console.log(`⏭️ Webhook ${webhookId} for order ${order.id} was already received`);
+    return new Response("Already received", { status: 200 });
+  }
+
+  const [orderExport] = results;
+  console.log(`📥 Reversal of order ${order.id} queued for FINA (export ${orderExport.id}, ${orderExport.status})`);
+  startOrderExportWorker([orderExport]);
+  return new Response("OK", { status: 200 });
+};
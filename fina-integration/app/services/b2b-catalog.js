@@ -0,0 +1,284 @@
+/**
+ * B2B Catalog Service
+ * With the "priceList" variant selector a product has no separate B2B
+ * variant: FINA B2B prices are written as fixed prices to the price list of
+ * a Shopify B2B catalog, so businesses see their price on the retail variant.
+ *
+ * The catalog is chosen (or created) in the app, which also manages the
+ * company locations it applies to. A catalog without a price list gets one
+ * with no adjustment, so prices without a fixed one stay the retail price.
+ */
+
+import prisma from "../db.server";
+import { runMutation } from "./shopify-admin.js";
+
+/** priceListFixedPricesAdd accepts at most 250 prices per call */
+const FIXED_PRICE_BATCH_SIZE = 250;
+
+/**
+ * Company location catalogs, for the B2B page
+ * @param {Object} admin - Admin API client
+ */
+export async function listB2BCatalogs(admin) {
+  const response = await admin.graphql(`
+    query {
+      catalogs(first: 50, type: COMPANY_LOCATION) {
+        nodes {
+          id
+          title
+          status
+          priceList { id name currency }
+        }
+      }
+    }
+  `);
+  const data = await response.json();
+  return data?.data?.catalogs?.nodes || [];
+}
+
+/**
+ * Company locations with the catalogs they're assigned to
+ * @param {Object} admin
+ */
+export async function listCompanyLocations(admin) {
+  const response = await admin.graphql(`
+    query {
+      companyLocations(first: 250, sortKey: COMPANY_AND_LOCATION_NAME) {
+        nodes {
+          id
+          name
+          company { name }
+          catalogs(first: 25) { nodes { id } }
+        }
+      }
+    }
+  `);
+  const data = await response.json();
+  return (data?.data?.companyLocations?.nodes || []).map(location => ({
+    id: location.id,
+    name: location.name,
+    companyName: location.company?.name ?? "",
+    catalogIds: location.catalogs.nodes.map(catalog => catalog.id),
+  }));
+}
+
+/**
+ * @param {Object} admin
+ * @returns {Promise<string>} shop currency code
+ */
+export async function getShopCurrency(admin) {
+  const response = await admin.graphql(`query { shop { currencyCode } }`);
+  const data = await response.json();
+  return data?.data?.shop?.currencyCode;
+}
+
+/**
+ * Give a catalog a price list when it has none
+ * @param {Object} admin
+ * @param {{ id: string, title: string, priceList: Object|null }} catalog
+ * @param {string} currency
+ */
+async function ensurePriceList(admin, catalog, currency) {
+  if (catalog.priceList) return catalog.priceList;
+  const { priceList } = await runMutation(admin, `
+    mutation priceListCreate($input: PriceListCreateInput!) {
+      priceListCreate(input: $input) {
+        priceList { id name currency }
+        userErrors { field message }
+      }
+    }
+  `, {
+    input: {
+      name: `${catalog.title} (FINA)`,
+      currency,
+      catalogId: catalog.id,
+      parent: { adjustment: { type: "PERCENTAGE_DECREASE", value: 0 } },
+    },
+  }, "priceListCreate");
+  console.log(`💶 Price list ${priceList.id} created for catalog ${catalog.id}`);
+  return priceList;
+}
+
+async function saveCatalogChoice(shop, catalogId) {
+  await prisma.priceMapping.upsert({
+    where: { shop },
+    create: { shop, b2bCatalogId: catalogId },
+    update: { b2bCatalogId: catalogId },
+  });
+}
+
+/**
+ * Use an existing catalog for B2B prices
+ * @param {string} shop
+ * @param {Object} admin
+ * @param {string} catalogId
+ */
+export async function selectB2BCatalog(shop, admin, catalogId) {
+  const catalog = (await listB2BCatalogs(admin)).find(c => c.id === catalogId);
+  if (!catalog) throw new Error("This catalog no longer exists");
+  await ensurePriceList(admin, catalog, await getShopCurrency(admin));
+  await saveCatalogChoice(shop, catalog.id);
+  return catalog;
+}
+
+/**
+ * Create a catalog with a price list for B2B prices
+ * @param {string} shop
+ * @param {Object} admin
+ * @param {{ title: string, companyLocationIds: string[] }} input
+ */
+export async function createB2BCatalog(shop, admin, { title, companyLocationIds }) {
+  if (!title?.trim()) throw new Error("Catalog name is required");
+  if (!companyLocationIds.length) throw new Error("Choose at least one company location");
+
+  const { catalog } = await runMutation(admin, `
+    mutation catalogCreate($input: CatalogCreateInput!) {
+      catalogCreate(input: $input) {
+        catalog { id title }
+        userErrors { field message }
+      }
+    }
+  `, {
+    input: { title: title.trim(), status: "ACTIVE", context: { companyLocationIds } },
+  }, "catalogCreate");
+
+  await ensurePriceList(admin, { ...catalog, priceList: null }, await getShopCurrency(admin));
+  await saveCatalogChoice(shop, catalog.id);
+  console.log(`🏢 B2B catalog ${catalog.id} created for ${shop}`);
+  return catalog;
+}
+
+/**
+ * Make a catalog apply to exactly the chosen company locations
+ * @param {Object} admin
+ * @param {string} catalogId
+ * @param {string[]} companyLocationIds
+ */
+export async function assignCompanyLocations(admin, catalogId, companyLocationIds) {
+  const locations = await listCompanyLocations(admin);
+  const current = locations.filter(l => l.catalogIds.includes(catalogId)).map(l => l.id);
+  const add = companyLocationIds.filter(id => !current.includes(id));
+  const remove = current.filter(id => !companyLocationIds.includes(id));
+  if (!add.length && !remove.length) return { added: 0, removed: 0 };
+
+  await runMutation(admin, `
+    mutation catalogContextUpdate($catalogId: ID!, $contextsToAdd: CatalogContextInput, $contextsToRemove: CatalogContextInput) {
+      catalogContextUpdate(catalogId: $catalogId, contextsToAdd: $contextsToAdd, contextsToRemove: $contextsToRemove) {
+        catalog { id }
+        userErrors { field message }
+      }
+    }
+  `, {
+    catalogId,
+    contextsToAdd: add.length ? { companyLocationIds: add } : null,
+    contextsToRemove: remove.length ? { companyLocationIds: remove } : null,
+  }, "catalogContextUpdate");
+  return { added: add.length, removed: remove.length };
+}
+
+/**
+ * Price list a sync writes to, with the fixed prices it has now
+ * @param {Object} admin
+ * @param {string|null} catalogId
+ * @returns {Promise<{ id: string, currency: string, catalogTitle: string, prices: Record<string, number> }|null>}
+ */
+export async function loadB2BPriceList(admin, catalogId) {
+  if (!catalogId) return null;
+  const prices = {};
+  let priceList = null;
+  let after = null;
+  do {
+    const response = await admin.graphql(`
+      query catalogPrices($id: ID!, $after: String) {
+        catalog(id: $id) {
+          title
+          priceList {
+            id
+            currency
+            prices(first: 250, after: $after, originType: FIXED) {
+              nodes { variant { id } price { amount } }
+              pageInfo { hasNextPage endCursor }
+            }
+          }
+        }
+      }
+    `, { variables: { id: catalogId, after } });
+    const data = await response.json();
+    const catalog = data?.data?.catalog;
+    if (!catalog?.priceList) return null;
+
+    priceList = { id: catalog.priceList.id, currency: catalog.priceList.currency, catalogTitle: catalog.title };
+    for (const node of catalog.priceList.prices.nodes) prices[node.variant.id] = parseFloat(node.price.amount);
+    after = catalog.priceList.prices.pageInfo.hasNextPage ? catalog.priceList.prices.pageInfo.endCursor : null;
+  } while (after);
+
+  return { ...priceList, prices };
+}
+
+/**
+ * Currency of a price list, for applying previewed changes
+ * @param {Object} admin
+ * @param {string} priceListId
+ */
+export async function getPriceListCurrency(admin, priceListId) {
+  const response = await admin.graphql(`
+    query priceListCurrency($id: ID!) { priceList(id: $id) { currency } }
+  `, { variables: { id: priceListId } });
+  const data = await response.json();
+  return data?.data?.priceList?.currency ?? null;
+}
+
+/**
+ * Write fixed prices in batches. Like inventory writes (fina-sync.js),
+ * userErrors point at a price via their field path (prices.<n>...). Only
+ * prices returned by the mutation count as written; the rest of the batch
+ * fails with the batch's errors.
+ * @param {Object} admin
+ * @param {{ id: string, currency: string }} priceList
+ * @param {Array<{ key: string, variantId: string, price: number }>} changes
+ * @returns {Promise<Map<string, string>>} error message per failed change key
+ */
+export async function setFixedPrices(admin, priceList, changes) {
+  const errors = new Map();
+  for (let i = 0; i < changes.length; i += FIXED_PRICE_BATCH_SIZE) {
+    const batch = changes.slice(i, i + FIXED_PRICE_BATCH_SIZE);
+    try {
+      const response = await admin.graphql(`
+        mutation priceListFixedPricesAdd($priceListId: ID!, $prices: [PriceListPriceInput!]!) {
+          priceListFixedPricesAdd(priceListId: $priceListId, prices: $prices) {
+            prices { variant { id } }
+            userErrors { field message code }
+          }
+        }
+      `, {
+        variables: {
+          priceListId: priceList.id,
+          prices: batch.map(({ variantId, price }) => ({
+            variantId,
+            price: { amount: price.toFixed(2), currencyCode: priceList.currency },
+          })),
+        },
+      });
+      const data = await response.json();
+      const result = data?.data?.priceListFixedPricesAdd;
+      const userErrors = result?.userErrors || [];
+      for (const error of userErrors) {
+        const index = error.field?.[0] === "prices" ? Number(error.field[1]) : NaN;
+        const failed = Number.isInteger(index) && batch[index] ? [batch[index]] : batch;
+        for (const change of failed) errors.set(change.key, error.message);
+      }
+      if (userErrors.length) console.error(`Price list batch errors (${priceList.id})`, userErrors);
+
+      const written = new Set((result?.prices || []).map(price => price.variant?.id));
+      const unconfirmed = userErrors.length
+        ? `Shopify rejected the price batch: ${userErrors.map(error => error.message).join("; ")}`
+        : "Shopify didn't confirm the price, nothing was written";
+      for (const change of batch) {
+        if (!written.has(change.variantId) && !errors.has(change.key)) errors.set(change.key, unconfirmed);
+      }
+    } catch (e) {
+      for (const change of batch) errors.set(change.key, e.message);
+    }
+  }
+  return errors;
+}
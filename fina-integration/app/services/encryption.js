@@ -0,0 +1,40 @@
+/**
+ * Encryption Service
+ * AES-256-GCM for secrets stored in the database (FINA passwords)
+ */
+
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+
+function getKey() {
+  const secret = process.env.FINA_ENCRYPTION_KEY;
+  if (!secret) {
+    throw new Error("FINA_ENCRYPTION_KEY must be set in environment variables");
+  }
+  // Any length of secret is accepted; the cipher needs exactly 32 bytes
+  return createHash("sha256").update(secret).digest();
+}
+
+/**
+ * Encrypt a secret into "iv:authTag:ciphertext" (base64 parts)
+ * @param {string} plainText
+ */
+export function encryptSecret(plainText) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  return [iv, authTag, encrypted].map((part) => part.toString("base64")).join(":");
+}
+
+/**
+ * Decrypt a value produced by encryptSecret
+ * @param {string} payload
+ */
+export function decryptSecret(payload) {
+  const [iv, authTag, encrypted] = payload.split(":").map((part) => Buffer.from(part, "base64"));
+  const decipher = createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+}
@@ -1,43 +1,76 @@
 /**
  * Fina Authentication Service
- * Handles token generation and management for Fina API
+ * Handles token generation and management for Fina API.
+ *
+ * Tokens are stored in the FinaToken table keyed by credential, so every
+ * instance reuses the same token until it is close to expiry or FINA
+ * rejects it with a 401.
  */
 
-let cachedToken = null;
-let tokenExpiry = null;
+import { createHash } from "crypto";
+import prisma from "../db.server";
+
+export const FINA_BASE_URL = process.env.FINA_API_URL || "http://178.134.149.81:8082";
+
+const TOKEN_LIFETIME_MS = 36 * 60 * 60 * 1000; // Token is valid for 36 hours
+const REFRESH_MARGIN_MS = 60 * 60 * 1000; // Renew an hour before expiry
 
 /**
- * Authenticate with Fina API and get access token
- * Token is valid for 36 hours
+ * @typedef {Object} FinaCredentials
+ * @property {string} baseUrl
+ * @property {string} login
+ * @property {string} password
  */
-export async function getFinaToken() {
-  // Check if we have a valid cached token
-  if (cachedToken && tokenExpiry && new Date() < tokenExpiry) {
-    console.log("Using cached Fina token");
-    return cachedToken;
-  }
 
-  // Get credentials from environment
-  const finaLogin = process.env.FINA_LOGIN;
-  const finaPassword = process.env.FINA_PASSWORD;
-  const finaBaseUrl = "http://178.134.149.81:8082"; // Fina API base URL
+/** In-memory copy of the stored tokens, keyed by credential */
+const memoryCache = new Map();
+
+/** Authentication requests in flight, keyed by credential (single-flight) */
+const pendingAuthentications = new Map();
+
+/**
+ * Credentials from FINA_LOGIN / FINA_PASSWORD
+ * @returns {FinaCredentials}
+ */
+export function getEnvCredentials() {
+  const login = process.env.FINA_LOGIN;
+  const password = process.env.FINA_PASSWORD;
 
-  if (!finaLogin || !finaPassword) {
+  if (!login || !password) {
     throw new Error("FINA_LOGIN and FINA_PASSWORD must be set in environment variables");
   }
 
+  return { baseUrl: FINA_BASE_URL, login, password };
+}
+
+/**
+ * Stable key for a credential set. The password is part of the hash so a
+ * password change never reuses a token issued for the old one.
+ */
+function getCredentialKey({ baseUrl, login, password }) {
+  return createHash("sha256").update(`${baseUrl}\n${login}\n${password}`).digest("hex");
+}
+
+function isFresh(entry) {
+  return !!entry && entry.expiresAt.getTime() - REFRESH_MARGIN_MS > Date.now();
+}
+
+/**
+ * Make authentication request to Fina and persist the new token
+ * @param {FinaCredentials} credentials
+ */
+async function authenticate(credentials, key) {
   try {
     console.log("Generating new Fina token...");
-    
-    // Make authentication request to Fina
-    const response = await fetch(`${finaBaseUrl}/api/authentication/authenticate`, {
+
+    const response = await fetch(`${credentials.baseUrl}/api/authentication/authenticate`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
       },
       body: JSON.stringify({
-        login: finaLogin,
-        password: finaPassword,
+        login: credentials.login,
+        password: credentials.password,
       }),
     });
 
@@ -46,19 +79,27 @@ export async function getFinaToken() {
     }
 
     const data = await response.json();
-    
+
     if (!data.token) {
       throw new Error("No token received from Fina API");
     }
 
-    // Cache the token (valid for 36 hours)
-    cachedToken = data.token;
-    tokenExpiry = new Date(Date.now() + 36 * 60 * 60 * 1000); // 36 hours from now
-    
-    console.log(`Fina token generated successfully. Expires at: ${tokenExpiry.toISOString()}`);
-    
-    return cachedToken;
-    
+    const entry = {
+      token: data.token,
+      expiresAt: new Date(Date.now() + TOKEN_LIFETIME_MS),
+    };
+
+    await prisma.finaToken.upsert({
+      where: { credentialKey: key },
+      create: { credentialKey: key, ...entry },
+      update: entry,
+    });
+    memoryCache.set(key, entry);
+
+    console.log(`Fina token generated successfully. Expires at: ${entry.expiresAt.toISOString()}`);
+
+    return entry.token;
+
   } catch (error) {
     console.error("Error getting Fina token:", error);
     throw new Error(`Failed to authenticate with Fina: ${error.message}`);
@@ -66,23 +107,78 @@ export async function getFinaToken() {
 }
 
 /**
- * Force refresh of Fina token (useful for SYNC button)
+ * Authenticate once per credential no matter how many callers ask at the same time
+ */
+function authenticateOnce(credentials, key) {
+  if (!pendingAuthentications.has(key)) {
+    const pending = authenticate(credentials, key).finally(() => pendingAuthentications.delete(key));
+    pendingAuthentications.set(key, pending);
+  }
+  return pendingAuthentications.get(key);
+}
+
+/**
+ * Get a valid Fina access token, authenticating only when no stored token
+ * is usable
+ * @param {FinaCredentials} [credentials]
  */
-export async function refreshFinaToken() {
+export async function getFinaToken(credentials = getEnvCredentials()) {
+  const key = getCredentialKey(credentials);
+
+  const cached = memoryCache.get(key);
+  if (isFresh(cached)) {
+    return cached.token;
+  }
+
+  const stored = await prisma.finaToken.findUnique({ where: { credentialKey: key } });
+  if (isFresh(stored)) {
+    memoryCache.set(key, { token: stored.token, expiresAt: stored.expiresAt });
+    return stored.token;
+  }
+
+  return authenticateOnce(credentials, key);
+}
+
+/**
+ * Replace a token FINA has rejected. When another request already replaced
+ * `staleToken`, the newer token is returned instead of authenticating again.
+ * @param {FinaCredentials} [credentials]
+ * @param {string} [staleToken]
+ */
+export async function refreshFinaToken(credentials = getEnvCredentials(), staleToken) {
+  const key = getCredentialKey(credentials);
+
+  if (pendingAuthentications.has(key)) {
+    return pendingAuthentications.get(key);
+  }
+
+  if (staleToken) {
+    const stored = await prisma.finaToken.findUnique({ where: { credentialKey: key } });
+    if (stored && stored.token !== staleToken && isFresh(stored)) {
+      memoryCache.set(key, { token: stored.token, expiresAt: stored.expiresAt });
+      return stored.token;
+    }
+  }
+
   console.log("Forcing Fina token refresh...");
-  cachedToken = null;
-  tokenExpiry = null;
-  return await getFinaToken();
+  memoryCache.delete(key);
+  return authenticateOnce(credentials, key);
 }
 
 /**
  * Get current token status
+ * @param {FinaCredentials} [credentials]
  */
-export function getTokenStatus() {
+export async function getTokenStatus(credentials = getEnvCredentials()) {
+  const stored = await prisma.finaToken.findUnique({
+    where: { credentialKey: getCredentialKey(credentials) },
+  });
+  const expiresAt = stored?.expiresAt;
+
   return {
-    hasToken: !!cachedToken,
-    isValid: cachedToken && tokenExpiry && new Date() < tokenExpiry,
-    expiresAt: tokenExpiry?.toISOString(),
-    timeUntilExpiry: tokenExpiry ? Math.max(0, tokenExpiry.getTime() - Date.now()) : 0
+    hasToken: !!stored,
+    isValid: !!expiresAt && new Date() < expiresAt,
+    expiresAt: expiresAt?.toISOString(),
+    timeUntilExpiry: expiresAt ? Math.max(0, expiresAt.getTime() - Date.now()) : 0
   };
-}
\ No newline at end of file
+}
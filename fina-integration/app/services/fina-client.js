@@ -0,0 +1,212 @@
+/**
+ * Fina API Client
+ * Single entry point for every call made to the FINA REST API
+ */
+
+import { getEnvCredentials, getFinaToken, refreshFinaToken } from "./fina-auth.js";
+
+/**
+ * @typedef {Object} FinaAddField
+ * @property {string} field - Column name, e.g. "usr_column_503"
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} FinaProduct
+ * @property {number} id
+ * @property {string} code - Used as the Shopify SKU
+ * @property {string} name
+ * @property {FinaAddField[]} [add_fields]
+ */
+
+/**
+ * @typedef {Object} FinaStoreRest
+ * @property {number} id - FINA product id
+ * @property {number} rest
+ */
+
+/**
+ * @typedef {Object} FinaProductPrice
+ * @property {number} product_id
+ * @property {number} price_id - FINA price type
+ * @property {number} price
+ */
+
+/**
+ * @typedef {Object} FinaCustomer
+ * @property {number} id
+ * @property {string} code
+ * @property {string} name
+ */
+
+/**
+ * @typedef {Object} FinaClientOptions
+ * @property {import("./fina-auth.js").FinaCredentials} [credentials] - Defaults to FINA_LOGIN / FINA_PASSWORD
+ * @property {number} [timeoutMs] - Per-request timeout
+ * @property {number} [retries] - Extra attempts for retryable failures
+ * @property {number} [retryDelayMs] - Base delay, doubled on every retry
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY_MS = 500;
+
+/**
+ * Uniform error thrown for every failed FINA call.
+ * `status` is null when no HTTP response was received (timeout / network).
+ */
+export class FinaApiError extends Error {
+  constructor(message, { status = null, body = null, method, path, cause } = {}) {
+    super(message, { cause });
+    this.name = "FinaApiError";
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.path = path;
+  }
+
+  get isRetryable() {
+    if (this.status === null) return true;
+    return this.status === 408 || this.status === 429 || this.status >= 500;
+  }
+
+  /** FINA may have carried out the request anyway: no response, a timeout or a server error */
+  get isOutcomeUnknown() {
+    return this.status === null || this.status === 408 || this.status >= 500;
+  }
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function readBody(response) {
+  const text = await response.text();
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Create a FINA API client
+ * @param {FinaClientOptions} [options]
+ */
+export function createFinaClient({
+  credentials,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  retries = DEFAULT_RETRIES,
+  retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+} = {}) {
+  // Resolved lazily so a module-level client doesn't require env vars at import
+  const getCredentials = () => (credentials ??= getEnvCredentials());
+
+  async function send(method, path, body, token) {
+    let response;
+    try {
+      response = await fetch(`${getCredentials().baseUrl}${path}`, {
+        method,
+        headers: {
+          "Authorization": `Bearer ${token}`,
+          "Content-Type": "application/json",
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+    } catch (error) {
+      const reason = error.name === "TimeoutError" ? `timed out after ${timeoutMs}ms` : error.message;
+      throw new FinaApiError(`FINA ${method} ${path} ${reason}`, { method, path, cause: error });
+    }
+
+    const data = await readBody(response);
+    if (!response.ok) {
+      throw new FinaApiError(`FINA ${method} ${path} returned ${response.status}: ${response.statusText}`, {
+        status: response.status,
+        body: data,
+        method,
+        path,
+      });
+    }
+    return data;
+  }
+
+  /**
+   * Send with the stored token; a 401 means FINA dropped it, so
+   * re-authenticate once and replay the request.
+   */
+  async function sendAuthorized(method, path, body) {
+    const token = await getFinaToken(getCredentials());
+    try {
+      return await send(method, path, body, token);
+    } catch (error) {
+      if (error.status !== 401) throw error;
+      console.warn(`🔑 FINA rejected the token for ${method} ${path}, re-authenticating...`);
+      const freshToken = await refreshFinaToken(getCredentials(), token);
+      return send(method, path, body, freshToken);
+    }
+  }
+
+  /**
+   * GETs are retried by default; POSTs create documents in FINA and are only
+   * retried when the caller opts in.
+   */
+  async function request(method, path, { body, retry = method === "GET" } = {}) {
+    const attempts = retry ? retries + 1 : 1;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await sendAuthorized(method, path, body);
+      } catch (error) {
+        if (attempt >= attempts || !error.isRetryable) throw error;
+        const delay = retryDelayMs * 2 ** (attempt - 1);
+        console.warn(`⚠️ ${error.message} - retrying in ${delay}ms (${attempt}/${retries})`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return {
+    /** @returns {Promise<Object>} */
+    getApiInfo: () => request("GET", "/api/info/getapiinfo"),
+
+    /** @returns {Promise<{ products: FinaProduct[] }>} */
+    getProducts: () => request("GET", "/api/operation/getProducts"),
+
+    /**
+     * @param {number|string} storeId
+     * @returns {Promise<{ store_rest: FinaStoreRest[] }>}
+     */
+    getProductsRestByStore: (storeId) =>
+      request("GET", `/api/operation/getProductsRestByStore/${encodeURIComponent(storeId)}`),
+
+    /** @returns {Promise<{ prices: FinaProductPrice[] }>} */
+    getProductPrices: () => request("GET", "/api/operation/getProductPrices"),
+
+    /**
+     * @param {string} date - yyyy-MM-ddTHH:mm:ss
+     * @returns {Promise<{ products: FinaProduct[] }>}
+     */
+    getProductsAfter: (date) => request("GET", `/api/operation/getProductsAfter/${date}`),
+
+    /** @returns {Promise<{ contragents: FinaCustomer[] }>} */
+    getCustomers: () => request("GET", "/api/operation/getCustomers"),
+
+    /**
+     * @param {string} code - Business number
+     * @returns {Promise<{ contragents: FinaCustomer[] }>}
+     */
+    getCustomersByCode: (code) =>
+      request("GET", `/api/operation/getCustomersByCode/${encodeURIComponent(code)}`),
+
+    /**
+     * @param {Object} customer
+     * @returns {Promise<{ id: number }>}
+     */
+    saveCustomer: (customer) => request("POST", "/api/operation/saveCustomer", { body: customer }),
+
+    /**
+     * @param {Object} document - Sales document (products, services, customer...)
+     * @returns {Promise<{ id: number }>}
+     */
+    saveDocProductOut: (document) => request("POST", "/api/operation/saveDocProductOut", { body: document }),
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * Fina Connection Service
+ * Resolves the FINA company (host, credentials, defaults) a shop talks to.
+ *
+ * Shops without a saved connection fall back to FINA_LOGIN / FINA_PASSWORD
+ * so existing single-company deployments keep working.
+ */
+
+import prisma from "../db.server";
+import { FINA_BASE_URL, getEnvCredentials } from "./fina-auth.js";
+import { createFinaClient } from "./fina-client.js";
+import { decryptSecret, encryptSecret } from "./encryption.js";
+
+/** Values used when a shop has no saved connection */
+export const DEFAULT_FINA_SETTINGS = {
+  baseUrl: FINA_BASE_URL,
+  defaultStoreId: 1,
+  b2cPriceTypeId: 3,
+  b2bPriceTypeId: 5,
+};
+
+/**
+ * Saved connection without the password, safe to send to the browser
+ * @param {string} shop
+ */
+export async function getFinaConnection(shop) {
+  const connection = await prisma.finaConnection.findUnique({ where: { shop } });
+  if (!connection) return null;
+
+  const { encryptedPassword, ...rest } = connection;
+  return { ...rest, hasPassword: !!encryptedPassword };
+}
+
+/**
+ * Store id and price types the shop syncs with
+ * @param {string} shop
+ */
+export async function getFinaSettings(shop) {
+  const connection = await prisma.finaConnection.findUnique({ where: { shop } });
+  if (!connection) return { ...DEFAULT_FINA_SETTINGS };
+
+  return {
+    baseUrl: connection.baseUrl,
+    defaultStoreId: connection.defaultStoreId,
+    b2cPriceTypeId: connection.b2cPriceTypeId,
+    b2bPriceTypeId: connection.b2bPriceTypeId,
+  };
+}
+
+/**
+ * @param {string} shop
+ * @returns {Promise<import("./fina-auth.js").FinaCredentials>}
+ */
+export async function getFinaCredentials(shop) {
+  const connection = await prisma.finaConnection.findUnique({ where: { shop } });
+  if (!connection) return getEnvCredentials();
+
+  return {
+    baseUrl: connection.baseUrl,
+    login: connection.login,
+    password: decryptSecret(connection.encryptedPassword),
+  };
+}
+
+/**
+ * FINA client authenticated with the shop's own credentials
+ * @param {string} shop
+ * @param {import("./fina-client.js").FinaClientOptions} [options]
+ */
+export async function getFinaClientForShop(shop, options = {}) {
+  const credentials = await getFinaCredentials(shop);
+  return createFinaClient({ ...options, credentials });
+}
+
+function parsePositiveInt(value, label) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${label} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Validate form input. A blank password keeps the one already saved.
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function resolveConnectionInput(shop, input) {
+  const baseUrl = (input.baseUrl || "").trim().replace(/\/+$/, "");
+  const login = (input.login || "").trim();
+
+  if (!/^https?:\/\/.+/.test(baseUrl)) {
+    throw new Error("Base URL must start with http:// or https://");
+  }
+  if (!login) {
+    throw new Error("Login is required");
+  }
+
+  let password = input.password || "";
+  if (!password) {
+    const existing = await prisma.finaConnection.findUnique({ where: { shop } });
+    if (!existing) throw new Error("Password is required");
+    password = decryptSecret(existing.encryptedPassword);
+  }
+
+  return {
+    baseUrl,
+    login,
+    password,
+    defaultStoreId: parsePositiveInt(input.defaultStoreId, "Default store id"),
+    b2cPriceTypeId: parsePositiveInt(input.b2cPriceTypeId, "B2C price type"),
+    b2bPriceTypeId: parsePositiveInt(input.b2bPriceTypeId, "B2B price type"),
+  };
+}
+
+/**
+ * @param {string} shop
+ * @param {Awaited<ReturnType<typeof resolveConnectionInput>>} connection
+ */
+export async function saveFinaConnection(shop, { password, ...connection }) {
+  const data = { ...connection, encryptedPassword: encryptSecret(password) };
+  return prisma.finaConnection.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
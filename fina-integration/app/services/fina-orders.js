@@ -0,0 +1,399 @@
+/**
+ * FINA Orders
+ * Builds the FINA sales document (saveDocProductOut) for a Shopify order
+ * and posts it. Customers without the business metafield go to the "Online Store"
+ * customer; business customers are looked up by business_number and created
+ * in FINA when missing.
+ *
+ * Line items without a FINA product are collected rather than left out, and
+ * handled by the shop's unmapped line policy (order-settings.js).
+ *
+ * Called by the order export queue (order-exports.js), which keeps the built
+ * document and the outcome, and retries failed exports.
+ */
+
+import { getFinaClientForShop, getFinaSettings } from "./fina-connection.js";
+import { getOrderSettings } from "./order-settings.js";
+
+// Helper function to get ALL FINA products for SKU mapping
+async function getAllFinaProducts(fina) {
+  console.log('📦 Fetching all FINA products for SKU mapping...');
+  const data = await fina.getProducts();
+  console.log(`📦 Retrieved ${data.products?.length || 0} products from FINA for mapping`);
+  return data.products || [];
+}
+
+// Helper function to get customer data with metafields from Shopify
+async function getShopifyCustomerWithMetafields(customerId, session) {
+  try {
+    const response = await fetch(`https://${session.shop}/admin/api/2023-10/customers/${customerId}.json`, {
+      method: 'GET',
+      headers: {
+        'X-Shopify-Access-Token': session.accessToken,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch customer: ${response.status}`);
+    }
+
+    const customerData = await response.json();
+    
+    // Get customer metafields
+    const metafieldsResponse = await fetch(`https://${session.shop}/admin/api/2023-10/customers/${customerId}/metafields.json`, {
+      method: 'GET',
+      headers: {
+        'X-Shopify-Access-Token': session.accessToken,
+        'Content-Type': 'application/json',
+      },
+    });
+
+    let metafields = [];
+    if (metafieldsResponse.ok) {
+      const metafieldsData = await metafieldsResponse.json();
+      metafields = metafieldsData.metafields || [];
+    }
+
+    return {
+      customer: customerData.customer,
+      metafields: metafields
+    };
+  } catch (error) {
+    console.error('Error fetching customer data:', error);
+    throw error;
+  }
+}
+
+// Helper function to get metafield value by key
+function getMetafieldValue(metafields, key) {
+  const metafield = metafields.find(m => m.key === key);
+  return metafield ? metafield.value : null;
+}
+
+// Helper function to check if customer exists in FINA and get customer ID
+async function getFinaCustomerByCode(customerCode, fina) {
+  try {
+    const data = await fina.getCustomersByCode(customerCode);
+    console.log(`📋 FINA customer check result:`, data);
+    
+    // Check if contragents array has any customers and return the customer data
+    if (data.contragents && data.contragents.length > 0) {
+      const customer = data.contragents[0]; // Get first customer
+      console.log(`✅ Customer found in FINA with ID: ${customer.id}`);
+      return customer;
+    }
+    
+    console.log(`❌ Customer not found in FINA for code: ${customerCode}`);
+    return null;
+  } catch (error) {
+    console.error('❌ Error checking FINA customer:', error);
+    return null;
+  }
+}
+
+// Helper function to create customer in FINA
+async function createFinaCustomer(customerData, metafields, fina) {
+  try {
+    const businessNumber = getMetafieldValue(metafields, 'business_number') || '000000000'; // Fixed: underscore not hyphen
+    
+    // Get customer address (using first address or default)
+    const address = customerData.addresses && customerData.addresses.length > 0 
+      ? `${customerData.addresses[0].address1 || ''} ${customerData.addresses[0].city || ''}`.trim()
+      : 'Online Store';
+
+    const finaCustomerData = {
+      id: 0, // Always 0 for new customers
+      code: businessNumber, // business-number metafield value
+      name: `${customerData.first_name || ''} ${customerData.last_name || ''}`.trim() || 'Online Store',
+      group_id: 5, // Always 5
+      address: address, // Customer address
+      phone: customerData.phone || '+995555555555', // Customer phone
+      email: customerData.email || 'onlinestore@gmail.com', // Customer email
+      vat_type: 1, // Always 1 (fixed value)
+      is_resident: true, // Always true
+      is_company: true, // Always true for business customers
+      cons_period: 30, // Always 30
+      birth_date: '2001-11-08T18:00:00' // Fixed date
+    };
+
+    console.log('🆕 Creating FINA business customer:', finaCustomerData);
+
+    const result = await fina.saveCustomer(finaCustomerData);
+    console.log('✅ FINA customer created successfully:', result);
+    return result;
+  } catch (error) {
+    console.error('❌ Error creating FINA customer:', error, error.body ?? '');
+    throw error;
+  }
+}
+
+/**
+ * @typedef {Object} UnmappedLine
+ * @property {number} lineId - Shopify line item id
+ * @property {string|null} sku
+ * @property {string} title
+ * @property {number} quantity
+ * @property {number} price
+ */
+
+// Helper function to build the FINA order document with actual products.
+// Lines without a FINA product are returned as unmappedLines, or posted as
+// the placeholder product/service under the placeholder policy.
+async function buildFinaOrder(orderData, finaCustomerId, fina, finaSettings, orderSettings, lineMappings) {
+  try {
+    console.log('📋 Building FINA order with products...');
+    // Step 1: Get all FINA products for SKU mapping
+    const finaProducts = await getAllFinaProducts(fina);
+    
+    // Create SKU → FINA ID mapping
+    const skuToFinaIdMap = {};
+    finaProducts.forEach(product => {
+      if (product.code) {
+        skuToFinaIdMap[product.code] = product.id;
+      }
+    });
+    
+    console.log(`📊 Created SKU mapping for ${Object.keys(skuToFinaIdMap).length} products`);
+    
+    // Step 2: Process Shopify line items to build products array
+    const products = [];
+    const unmappedLines = [];
+    const lineItems = orderData.line_items || [];
+    
+    console.log(`📦 Processing ${lineItems.length} line items from Shopify order`);
+    
+    for (let i = 0; i < lineItems.length; i++) {
+      const item = lineItems[i];
+      const sku = item.sku;
+      const quantity = parseFloat(item.quantity || 0);
+      const price = parseFloat(item.price || 0);
+      
+      console.log(`📦 Item ${i + 1}: SKU="${sku}", Qty=${quantity}, Price=${price}`);
+      
+      // A line mapped by hand on the Orders page wins over its SKU
+      const finaProductId = lineMappings[item.id] ?? (sku ? skuToFinaIdMap[sku] : undefined);
+      
+      if (!finaProductId) {
+        console.log(sku ? `❌ SKU "${sku}" not found in FINA products` : `⚠️ Item ${i + 1} has no SKU`);
+        unmappedLines.push({ lineId: item.id, sku: sku || null, title: item.name || item.title || '', quantity, price });
+        continue;
+      }
+      
+      products.push({
+        id: finaProductId,
+        sub_id: 0,
+        quantity: quantity,
+        price: price
+      });
+      
+      console.log(`✅ Added product: FINA ID=${finaProductId}, SKU="${sku}", Qty=${quantity}, Price=${price}`);
+    }
+    
+    console.log(`📦 Successfully mapped ${products.length} products for FINA order`);
+    
+    // Placeholder lines keep the document's total equal to the order's
+    const placeholderLines = orderSettings.unmappedLinePolicy === 'placeholder' && orderSettings.placeholderId
+      ? unmappedLines.map(line => ({ id: orderSettings.placeholderId, quantity: line.quantity, price: line.price }))
+      : [];
+    if (placeholderLines.length && orderSettings.placeholderType === 'product') {
+      products.push(...placeholderLines.map(line => ({ ...line, sub_id: 0 })));
+    }
+    if (placeholderLines.length) {
+      console.log(`🧩 Posting ${placeholderLines.length} unmapped line(s) as FINA ${orderSettings.placeholderType} ${orderSettings.placeholderId}`);
+    }
+    
+    // Calculate shipping cost
+    const shippingCost = parseFloat(orderData.total_shipping_price_set?.shop_money?.amount || 0);
+    console.log(`🚚 Shipping cost: ${shippingCost}`);
+    
+    // Extract customer name from order
+    const customerName = `${orderData.customer?.first_name || ''} ${orderData.customer?.last_name || ''}`.trim() 
+      || orderData.billing_address?.name 
+      || orderData.shipping_address?.name 
+      || 'Online Customer';
+    
+    // Extract shipping address from order
+    const shippingAddress = orderData.shipping_address 
+      ? `${orderData.shipping_address.address1 || ''} ${orderData.shipping_address.address2 || ''} ${orderData.shipping_address.city || ''} ${orderData.shipping_address.province || ''} ${orderData.shipping_address.country || ''}`.replace(/\s+/g, ' ').trim()
+      : orderData.billing_address 
+        ? `${orderData.billing_address.address1 || ''} ${orderData.billing_address.address2 || ''} ${orderData.billing_address.city || ''} ${orderData.billing_address.province || ''} ${orderData.billing_address.country || ''}`.replace(/\s+/g, ' ').trim()
+        : 'ონლაინ შეკვეთა';
+    
+    console.log(`👤 Customer name: ${customerName}`);
+    console.log(`📍 Shipping address: ${shippingAddress}`);
+    
+    // FINA order structure according to specifications
+    const finaOrderData = {
+      id: 0, // Always 0
+      date: orderData.created_at, // Order creation time from Shopify
+      num_pfx: "", // Stay empty
+      num: parseInt(orderData.id), // Shopify order ID
+      purpose: "რეალიზაცია", // Fixed value
+      amount: parseFloat(orderData.total_price), // Full order amount
+      currency: "GEL", // Fixed
+      rate: 1.0, // Fixed
+      store: finaSettings.defaultStoreId, // Shop's default FINA store
+      user: 1, // Fixed for now
+      staff: 0, // Fixed
+      project: 1, // Fixed
+      customer: finaCustomerId, // FINA customer ID (not code!)
+      is_vat: true, // Fixed
+      make_entry: true, // Fixed
+      pay_type: 1, // Fixed
+      price_type: finaSettings.b2cPriceTypeId, // Shop's B2C price type
+      w_type: 2, // Fixed for now
+      t_type: 4, // Fixed
+      
+      t_payer: 2, // Fixed as 2 per specification
+      w_cost: shippingCost, // Shipping cost from order
+      foreign: false, // Fixed
+      drv_name: "", // Empty per specification
+      tr_start: "თბილისი. თემქა. მე-3 მ/რ. მე-2 კვ. 29-ე კორპუსის მიმდებარედ", // New fixed address
+      tr_end: shippingAddress, // Customer shipping address from Shopify order
+      driver_id: "", // Empty per specification
+      car_num: "", // Empty per specification
+      tr_text: "", // Empty per specification
+      sender: "", // Empty per specification
+      reciever: customerName, // Customer name from Shopify order
+      comment: "", // Empty per specification
+      overlap_type: 0, // Fixed
+      overlap_amount: 0, // Fixed
+      products: products, // Actual products from Shopify order
+      services: [
+        ...(shippingCost > 0 ? [{
+          id: 6996, // Always 6996 as requested
+          quantity: 1.0, // Always 1 as requested
+          price: shippingCost // Shipping cost from Shopify order
+        }] : []), // Only add service if there's shipping cost
+        ...(orderSettings.placeholderType === 'service' ? placeholderLines : []),
+      ]
+    };
+
+    console.log('📦 Built FINA order with structure:', finaOrderData);
+    return { document: finaOrderData, unmappedLines };
+  } catch (error) {
+    console.error('❌ Error building FINA order:', error, error.body ?? '');
+    throw error;
+  }
+}
+
+/**
+ * Build the saveDocProductOut document for an order, creating the business
+ * customer in FINA first when needed
+ * @param {Object} order - orders/create webhook payload
+ * @param {{ shop: string, accessToken: string }} session - offline session
+ * @param {{ lineMappings?: Record<string, number> }} [options] - FINA product id by line item id
+ * @returns {Promise<
+ *   { status: "ready", document: Object, unmappedLines: UnmappedLine[] }
+ *   | { status: "unmapped", policy: "fail"|"hold", document: Object, unmappedLines: UnmappedLine[] }
+ *   | { status: "skipped", reason: string }
+ * >} ready to post (unmapped lines, if any, as placeholders), unmapped when
+ *   the policy keeps it from being posted, skipped when it can't go to FINA as is
+ */
+export async function prepareFinaDocument(order, session, { lineMappings = {} } = {}) {
+  console.log(`🔄 Processing order ${order.id} for FINA integration`);
+  
+  const fina = await getFinaClientForShop(session.shop);
+  const finaSettings = await getFinaSettings(session.shop);
+  
+  if (!order.customer || !order.customer.id) {
+    console.log('⚠️ Order has no customer, skipping FINA integration');
+    return { status: 'skipped', reason: 'Order has no customer' };
+  }
+
+  // Step 1: Get customer data with metafields
+  console.log(`📝 Fetching customer data for customer ID: ${order.customer.id}`);
+  const { customer, metafields } = await getShopifyCustomerWithMetafields(order.customer.id, session);
+  
+  // 👤 LOG: Full Customer Details
+  console.log("=".repeat(60));
+  console.log("👤 FULL CUSTOMER DETAILS:");
+  console.log("=".repeat(60));
+  console.log(JSON.stringify(customer, null, 2));
+  console.log("=".repeat(60));
+  
+  // 🏷️ LOG: Customer Metafields
+  console.log("=".repeat(60));
+  console.log("🏷️ CUSTOMER METAFIELDS:");
+  console.log("=".repeat(60));
+  console.log(JSON.stringify(metafields, null, 2));
+  console.log("=".repeat(60));
+  
+  // Step 2: Check business metafield
+  const businessMetafield = getMetafieldValue(metafields, 'business');
+  const isBusiness = businessMetafield === 'true';
+  
+  console.log(`👤 Customer: ${customer.first_name} ${customer.last_name}, Business: ${isBusiness}`);
+  console.log(`🔍 Business Metafield Value: "${businessMetafield}"`);
+  console.log(`🏢 Is Business Customer: ${isBusiness}`);
+  
+  let finaCustomerId;
+  
+  if (!isBusiness) {
+    // Use existing "Online Store" customer in FINA (ID: 45)
+    console.log('🏪 Using default Online Store customer for non-business customer');
+    finaCustomerId = 45; // Fixed ID for Online Store customer
+  } else {
+    // Business customer - check if exists, create if not
+    const businessNumber = getMetafieldValue(metafields, 'business_number'); // Fixed: underscore not hyphen
+    const vatStatus = getMetafieldValue(metafields, 'vat_status'); // Fixed: underscore not hyphen
+    
+    // 📊 LOG: Important Metafields for FINA
+    console.log("=".repeat(40));
+    console.log("📊 METAFIELDS FOR FINA MAPPING:");
+    console.log(`🔢 Business Number: "${businessNumber}"`);
+    console.log(`🧾 VAT Status: "${vatStatus}"`);
+    console.log(`🏢 Business Flag: "${businessMetafield}"`);
+    console.log("=".repeat(40));
+    
+    if (!businessNumber) {
+      console.log('⚠️ Business customer has no business_number metafield, skipping');
+      return { status: 'skipped', reason: 'Business customer has no business_number metafield' };
+    }
+    
+    console.log(`🏢 Checking if business customer exists in FINA: ${businessNumber}`);
+    const existingCustomer = await getFinaCustomerByCode(businessNumber, fina);
+    
+    if (existingCustomer) {
+      console.log(`✅ Business customer already exists in FINA with ID: ${existingCustomer.id}`);
+      finaCustomerId = existingCustomer.id; // Use actual FINA customer ID
+    } else {
+      console.log('📝 Business customer does not exist, creating new customer in FINA');
+      const createdCustomer = await createFinaCustomer(customer, metafields, fina);
+      // Get the ID from the created customer response
+      finaCustomerId = createdCustomer.id || null;
+      
+      if (!finaCustomerId) {
+        console.error('❌ Failed to get customer ID from FINA creation response');
+        throw new Error('Unable to get FINA customer ID after creation');
+      }
+      
+      console.log(`✅ New business customer created with FINA ID: ${finaCustomerId}`);
+    }
+  }
+  
+  // Step 3: Build the order document for FINA
+  const orderSettings = await getOrderSettings(session.shop);
+  const { document, unmappedLines } = await buildFinaOrder(order, finaCustomerId, fina, finaSettings, orderSettings, lineMappings);
+  const usesPlaceholder = orderSettings.unmappedLinePolicy === 'placeholder' && orderSettings.placeholderId;
+  if (unmappedLines.length && !usesPlaceholder) {
+    const policy = orderSettings.unmappedLinePolicy === 'hold' ? 'hold' : 'fail';
+    return { status: 'unmapped', policy, document, unmappedLines };
+  }
+  return { status: 'ready', document, unmappedLines };
+}
+
+/**
+ * Post a built document. Not retried by the client: a timed out call may
+ * still have created it.
+ * @param {string} shop
+ * @param {Object} document - from prepareFinaDocument
+ * @returns {Promise<{ finaDocId: number|null }>}
+ */
+export async function postFinaDocument(shop, document) {
+  const fina = await getFinaClientForShop(shop);
+  const result = await fina.saveDocProductOut(document);
+  console.log('✅ FINA order created successfully:', result);
+  return { finaDocId: result?.id ?? null };
+}
@@ -0,0 +1,723 @@
+/**
+ * FINA → Shopify Sync Engine
+ * Loads the FINA working set of a sync run and applies it to Shopify
+ * product by product.
+ *
+ * - Writes FINA rest per mapped Shopify location (see location-mapping.js), less the
+ *   stock reserved by orders not yet in FINA (order-reservations.js)
+ * - Looks variants up in the run's SKU index, built once from a bulk export (variant-index.js)
+ * - Controls concurrency for per-product work with a lightweight pool (no sleeps)
+ * - Batches inventory writes per chunk via inventorySetQuantities, guarded by compareQuantity
+ * - Batches price updates per product via productVariantsBulkUpdate
+ * - Writes mapped FINA fields to product attributes (product-attributes.js)
+ * - Price types and the retail / B2B variant come from the shop's price mapping
+ * - Retail prices get the mapping's tax and rounding before they're compared; a compare-at
+ *   price is only kept while it's above the price
+ * - With a B2B catalog price list, B2B prices are batched per chunk as fixed prices (b2b-catalog.js)
+ * - Hidden products (usr_column_503=B2C, usr_column_504=B2B unless configured) get stock 0,
+ *   and optionally unpublished or archived (visibility.js)
+ * - mode=incremental only walks products changed since SyncSettings.lastSyncDate
+ * - dryRun only collects the per-variant diff; applySyncDiffs executes it later
+ */
+
+import { formatFinaDate } from "./sync-settings.js";
+import { loadRestByLocation, readInventoryLevels } from "./location-mapping.js";
+import { classifyVariant, toRetailPrice } from "./price-mapping.js";
+import {
+  applyProductAttributes,
+  isVariantChange,
+  planAttributeChanges,
+  variantAttributeInput,
+} from "./product-attributes.js";
+import { DEFAULT_VISIBILITY, planVisibilityChanges, readVisibility } from "./visibility.js";
+import { getPriceListCurrency, setFixedPrices } from "./b2b-catalog.js";
+
+// ---------------- Shopify helpers ----------------
+
+/** inventorySetQuantities accepts at most 250 quantities per call */
+const INVENTORY_BATCH_SIZE = 250;
+
+/**
+ * Set available quantities for many items in batched inventorySetQuantities
+ * calls. Each change carries the quantity it was read as (compareQuantity),
+ * so Shopify rejects items that sold in between instead of overwriting them.
+ *
+ * userErrors point at an item via their field path (input.quantities.<n>...),
+ * errors without an index fail the whole batch. Shopify applies nothing when
+ * a batch has errors, so the remaining items are retried once on their own;
+ * a batch that is rejected again fails all of them.
+ *
+ * @param {Array<{ key: string, inventoryItemId: string, locationId: string, quantity: number, compareQuantity: number|null }>} changes
+ * @param {Object} admin - Admin API client
+ * @returns {Promise<Map<string, string>>} error message per failed change key
+ */
+async function setInventoryQuantities(changes, admin) {
+  const mutation = `
+    mutation inventorySetQuantities($input: InventorySetQuantitiesInput!) {
+      inventorySetQuantities(input: $input) {
+        inventoryAdjustmentGroup { id }
+        userErrors { field message code }
+      }
+    }
+  `;
+  const errors = new Map();
+  const fail = (key, message) => errors.set(key, [errors.get(key), message].filter(Boolean).join('; '));
+
+  async function send(batch, retry) {
+    let data;
+    try {
+      const variables = {
+        input: {
+          name: "available",
+          reason: "correction",
+          quantities: batch.map(({ inventoryItemId, locationId, quantity, compareQuantity }) => ({
+            inventoryItemId,
+            locationId,
+            quantity: parseInt(quantity),
+            // Not stocked at the location yet: nothing to compare against
+            ...(typeof compareQuantity === "number" && { compareQuantity }),
+          })),
+        }
+      };
+      const response = await admin.graphql(mutation, { variables });
+      data = await response.json();
+    } catch (e) {
+      for (const change of batch) fail(change.key, e.message);
+      return;
+    }
+
+    const result = data?.data?.inventorySetQuantities;
+    const userErrors = result?.userErrors || [];
+    if (result?.inventoryAdjustmentGroup && !userErrors.length) return;
+
+    const failed = new Set();
+    for (const error of userErrors) {
+      const message = error.code === 'COMPARE_QUANTITY_STALE'
+        ? 'Stock changed in Shopify since it was read, left for the next sync'
+        : error.message;
+      const index = error.field?.[1] === 'quantities' ? Number(error.field[2]) : NaN;
+      if (Number.isInteger(index) && batch[index]) {
+        failed.add(index);
+        fail(batch[index].key, message);
+      } else {
+        batch.forEach((change, i) => { failed.add(i); fail(change.key, message); });
+      }
+    }
+    if (userErrors.length) console.error(`Inventory batch errors (${failed.size}/${batch.length} items)`, userErrors);
+    if (result?.inventoryAdjustmentGroup) return;
+
+    // Nothing was applied: the items Shopify didn't object to get one more try
+    const rest = batch.filter((_, i) => !failed.has(i));
+    if (!rest.length) return;
+    if (!retry && failed.size) {
+      await send(rest, true);
+      return;
+    }
+    for (const change of rest) fail(change.key, 'Shopify rejected the inventory batch, nothing was written');
+  }
+
+  for (let i = 0; i < changes.length; i += INVENTORY_BATCH_SIZE) {
+    await send(changes.slice(i, i + INVENTORY_BATCH_SIZE), false);
+  }
+  return errors;
+}
+
+/** Batch price (and variant attribute) updates per product */
+async function updateProductVariantPricesBulk(admin, productId, variantsPayload) {
+  if (!variantsPayload?.length) return { ok: true };
+  const mutation = `
+    mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+      productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+        productVariants { id price compareAtPrice sku updatedAt }
+        userErrors { field message }
+      }
+    }
+  `;
+  const variables = { productId, variants: variantsPayload };
+  const resp = await admin.graphql(mutation, { variables });
+  return await resp.json();
+}
+
+// ---------------- Utility: small concurrency pool ----------------
+
+async function withConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function run() {
+    while (true) {
+      const i = next++;
+      if (i >= items.length) break;
+      try {
+        results[i] = await worker(items[i], i);
+      } catch (e) {
+        results[i] = { error: e?.message || String(e) };
+      }
+    }
+  }
+  const runners = Array.from({ length: Math.min(limit, items.length) }, run);
+  await Promise.all(runners);
+  return results;
+}
+
+// ---------------- Domain helpers ----------------
+
+/** Attribute changes planned by visibility.js rather than the field mapping */
+const VISIBILITY_TARGETS = ['publication', 'status'];
+
+/** Why a variant changes, for the dry-run diff */
+function describeChange(role, visible, rules, { quantity, price, compareAt, b2bPrice, attributes, publication, reservedFor }) {
+  if (!visible && (quantity || price || compareAt)) {
+    return role === 'retail'
+      ? `Hidden for B2C in FINA (${rules.b2cField})`
+      : `Hidden for B2B in FINA (${rules.b2bField})`;
+  }
+  const parts = [];
+  if (quantity) parts.push('FINA stock differs');
+  if (price) parts.push('FINA price differs');
+  if (compareAt) parts.push(compareAt === 'clear' ? 'Price reached the FINA compare-at price, compare-at cleared' : 'FINA compare-at price differs');
+  if (b2bPrice) parts.push('FINA B2B price differs');
+  if (attributes) parts.push('FINA product fields differ');
+  if (publication) parts.push(`FINA visibility differs (${rules.b2cField} / ${rules.b2bField})`);
+  if (reservedFor) parts.push(reservedFor);
+  return parts.join(', ');
+}
+
+// ---------------- Incremental selection ----------------
+
+/**
+ * Products FINA reports as changed after lastSyncDate, plus products whose
+ * rest at any mapped location differs from the snapshot taken by the last
+ * clean run (stock moves don't touch the product's change date in FINA), and
+ * products reserved by orders not yet in FINA.
+ */
+async function selectChangedProducts(fina, allProducts, quantityMap, syncSettings, reservations) {
+  const afterDate = formatFinaDate(syncSettings.lastSyncDate);
+  const changedData = await fina.getProductsAfter(afterDate);
+  const changedIds = new Set((changedData.products || []).map(p => p.id));
+  const snapshot = syncSettings.lastRestSnapshot || {};
+
+  let restChanged = 0;
+  const selected = allProducts.filter(product => {
+    if (changedIds.has(product.id) || reservations?.byProduct[product.id]) return true;
+    const restMoved = Object.keys(quantityMap).some(locationId =>
+      (quantityMap[locationId][product.id] ?? 0) !== (snapshot[locationId]?.[product.id] ?? 0)
+    );
+    if (restMoved) {
+      restChanged++;
+      return true;
+    }
+    return false;
+  });
+
+  console.log(`🕒 Incremental since ${afterDate}: ${changedIds.size} changed products, ${restChanged} quantity changes`);
+  return selected;
+}
+
+// ---------------- FINA working set ----------------
+
+/**
+ * Everything a run needs from FINA, fetched once when the run starts and
+ * stored on the SyncRun so later steps (or a restarted worker) never refetch
+ * the full product, rest and price lists.
+ * @param {ReturnType<import("./fina-client.js").createFinaClient>} fina
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} priceMapping
+ * @param {"full"|"incremental"} mode
+ * @param {{ lastSyncDate: Date, lastRestSnapshot: Record<string, Record<string, number>>|null }} syncSettings
+ * @param {import("./location-mapping.js").StoreLocation[]} locations
+ * @param {{ loadReservations?: (products: Array<Object>) => Promise<import("./order-reservations.js").Reservations|null> }} [options]
+ */
+export async function loadSyncSnapshot(fina, priceMapping, mode, syncSettings, locations, { loadReservations } = {}) {
+  const finaProductsData = await fina.getProducts();
+  const allFinaProducts = finaProductsData.products || [];
+  console.log(`📦 Retrieved ${allFinaProducts.length} products from FINA`);
+  const reservations = loadReservations ? await loadReservations(allFinaProducts) : null;
+
+  // FINA quantities per Shopify location & prices
+  const quantityMap = await loadRestByLocation(fina, locations);
+
+  const finaPricesData = await fina.getProductPrices();
+  const finaPrices = finaPricesData.prices || [];
+  console.log(`💰 Retrieved prices for ${finaPrices.length} product price entries`);
+  const b2cPriceMap = {};
+  const b2bPriceMap = {};
+  const compareAtPriceMap = {};
+  for (const p of finaPrices) {
+    const pid = p.product_id;
+    const priceId = p.price_id;
+    const price = parseFloat(p.price || 0);
+    // One price type may feed several targets (e.g. B2B price = compare-at price)
+    if (priceId === priceMapping.priceTypeId) b2cPriceMap[pid] = price;
+    if (priceId === priceMapping.b2bPriceTypeId) b2bPriceMap[pid] = price;
+    if (priceId === priceMapping.compareAtPriceTypeId) compareAtPriceMap[pid] = price;
+  }
+
+  // Without a snapshot from a clean run there is nothing to diff against
+  let effectiveMode = mode;
+  if (mode === 'incremental' && !syncSettings.lastRestSnapshot) {
+    console.log('⚠️ No completed sync to compare against yet, running a full sync instead');
+    effectiveMode = 'full';
+  }
+
+  const products = effectiveMode === 'incremental'
+    ? await selectChangedProducts(fina, allFinaProducts, quantityMap, syncSettings, reservations)
+    : allFinaProducts;
+
+  return {
+    mode: effectiveMode,
+    products,
+    finaProductCount: allFinaProducts.length,
+    locations,
+    quantityMap,
+    reservations,
+    b2cPriceMap,
+    b2bPriceMap,
+    compareAtPriceMap,
+    priceMapping,
+  };
+}
+
+// ---------------- Core per-internal-chunk processor (refactored) ----------------
+
+/**
+ * Apply the run's working set (see loadSyncSnapshot) to one chunk of products.
+ * Every result carries the per-variant `diffs`; with dryRun nothing is written.
+ */
+export async function processProductChunk(products, snapshot, admin, chunkIndex, totalChunks, { dryRun = false } = {}) {
+  const { locations, quantityMap, b2cPriceMap, b2bPriceMap, compareAtPriceMap, priceMapping, variantIndex } = snapshot;
+  const fieldMappings = snapshot.fieldMappings || [];
+  const visibilityRules = snapshot.visibility || { ...DEFAULT_VISIBILITY, publications: [] };
+  // B2B catalog price list with its current fixed prices, when B2B prices don't go to a B2B variant
+  const priceList = snapshot.b2bPriceList ?? null;
+  console.log(`🔄 Processing chunk ${chunkIndex + 1}/${totalChunks} (${products.length} products)`);
+
+  // Filled by the product workers, flushed once the chunk's products are compared
+  const inventoryChanges = [];
+  const fixedPriceChanges = [];
+
+  const CONCURRENCY = 30; // admin is throttled (shopify-admin.js), this only caps parallel work
+  const results = await withConcurrency(products, CONCURRENCY, async (product) => {
+    try {
+      const visibility = readVisibility(product, visibilityRules);
+      const isB2CVisible = visibility.b2c;
+      const isB2BVisible = visibility.b2b;
+
+      const finaQuantities = {};
+      for (const { locationId } of locations) {
+        finaQuantities[locationId] = (isB2CVisible || isB2BVisible) ? Math.floor(quantityMap[locationId][product.id] || 0) : 0;
+      }
+      const finaQuantity = Object.values(finaQuantities).reduce((sum, qty) => sum + qty, 0);
+      // Orders not yet in FINA keep their stock (FINA's rest still counts it as available)
+      const reservation = snapshot.reservations?.byProduct[product.id] ?? null;
+      let reservedQuantity = 0;
+      if (reservation && (isB2CVisible || isB2BVisible) && finaQuantities[snapshot.reservations.locationId] !== undefined) {
+        const { locationId } = snapshot.reservations;
+        reservedQuantity = Math.min(reservation.quantity, finaQuantities[locationId]);
+        finaQuantities[locationId] -= reservedQuantity;
+      }
+      const reservedFor = reservation ? `${reservation.quantity} reserved for orders not yet in FINA (${reservation.orders.join(', ')})` : null;
+      const finaB2cPrice = isB2CVisible ? toRetailPrice(b2cPriceMap[product.id] ?? 0, priceMapping) : 0;
+      const finaCompareAt = compareAtPriceMap?.[product.id] !== undefined
+        ? toRetailPrice(compareAtPriceMap[product.id], priceMapping)
+        : null;
+      const finaB2bPrice = isB2BVisible ? parseFloat(b2bPriceMap[product.id] ?? 0) : 0;
+
+      const shopifyVariants = variantIndex[product.code] || [];
+      if (shopifyVariants.length === 0) {
+        return {
+          sku: product.code,
+          status: 'not_found',
+          finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity,
+          shopifyQuantity: 'N/A',
+          shopifyPrice: 'N/A',
+          message: 'Product not found in Shopify',
+          diffs: [{ sku: product.code, status: 'not_found', reason: 'No Shopify variant with this SKU' }]
+        };
+      }
+
+      let variantUpdated = 0;
+      let variantNoChange = 0;
+      let variantErrors = 0;
+      let allVariantQuantitiesMatch = true;
+      let allVariantPricesMatch = true;
+      let allAttributesMatch = true;
+      let firstVariantQuantity = null;
+      let firstVariantPrice = null;
+
+      const priceUpdates = [];
+      const diffs = [];
+      // Keys of this product's writes batched per chunk (inventory, fixed prices)
+      const batchKeys = [];
+      // Product-level attribute changes, planned once per Shopify product
+      const productAttributeUpdates = new Map();
+
+      for (let vIndex = 0; vIndex < shopifyVariants.length; vIndex++) {
+        const variant = shopifyVariants[vIndex];
+        const levels = readInventoryLevels(variant.inventoryItem, locations);
+        const shopifyQuantity = Object.values(levels).reduce((sum, qty) => sum + (qty ?? 0), 0);
+        const shopifyPrice = parseFloat(variant.price || 0);
+
+        const role = classifyVariant(variant, vIndex, product.code, priceMapping);
+        const isB2C = (role === 'retail');
+        const isB2B = (role === 'b2b');
+
+        let targetVisible = null;
+        let targetPrice = shopifyPrice;
+        let hasPriceData = false;
+
+        if (isB2C && priceList) {
+          // One variant serves both channels: stock unless hidden on both, the
+          // retail price left alone while only the retail channel hides it
+          targetVisible = isB2CVisible || isB2BVisible;
+          targetPrice = finaB2cPrice;
+          hasPriceData = isB2CVisible || !isB2BVisible;
+        } else if (isB2C) {
+          targetVisible = isB2CVisible;
+          targetPrice = finaB2cPrice;
+          hasPriceData = true;
+        } else if (isB2B) {
+          targetVisible = isB2BVisible;
+          targetPrice = finaB2bPrice;
+          hasPriceData = true;
+        }
+
+        // Locations whose available quantity differs from FINA (other variants are left alone)
+        const quantityChanges = targetVisible === null ? [] : locations
+          .map(({ locationId }) => ({ locationId, quantity: targetVisible ? finaQuantities[locationId] : 0 }))
+          .filter(({ locationId, quantity }) => (levels[locationId] ?? 0) !== quantity);
+
+        if (firstVariantQuantity === null) firstVariantQuantity = shopifyQuantity;
+        if (firstVariantPrice === null) firstVariantPrice = shopifyPrice;
+
+        if (quantityChanges.length) allVariantQuantitiesMatch = false;
+        // Compare-at only on the retail variant, when a price type is mapped and FINA has a price.
+        // undefined leaves Shopify's alone, null clears it once the sale price caught up
+        let targetCompareAt;
+        if (isB2C && isB2CVisible && finaCompareAt !== null) {
+          targetCompareAt = finaCompareAt - finaB2cPrice > 0.005 ? finaCompareAt : null;
+        }
+        const shopifyCompareAt = variant.compareAtPrice == null ? null : parseFloat(variant.compareAtPrice);
+        const compareAtMatches = targetCompareAt === undefined
+          || (targetCompareAt === null
+            ? shopifyCompareAt === null
+            : shopifyCompareAt !== null && Math.abs(shopifyCompareAt - targetCompareAt) <= 0.01);
+
+        // B2B price as a fixed price on the retail variant; hidden for B2B leaves it alone
+        const targetB2bPrice = priceList && isB2C && isB2BVisible && b2bPriceMap[product.id] !== undefined
+          ? finaB2bPrice
+          : null;
+        const shopifyB2bPrice = priceList?.prices[variant.id] ?? null;
+        const b2bPriceMatches = targetB2bPrice === null
+          || (shopifyB2bPrice !== null && Math.abs(shopifyB2bPrice - targetB2bPrice) <= 0.01);
+
+        const quantityMatches = quantityChanges.length === 0;
+        const basePriceMatches = hasPriceData ? (Math.abs(shopifyPrice - targetPrice) <= 0.01) : true;
+        const priceMatches = basePriceMatches && compareAtMatches && b2bPriceMatches;
+        if (!priceMatches) allVariantPricesMatch = false;
+
+        // Mapped FINA fields, only on the variants the sync manages
+        const attributes = role === null ? [] : [
+          ...planAttributeChanges(product, variant, fieldMappings, 'variant'),
+          ...(productAttributeUpdates.has(variant.product.id) ? [] : [
+            ...planAttributeChanges(product, variant, fieldMappings, 'product'),
+            ...planVisibilityChanges(variant.product, visibility, visibilityRules),
+          ]),
+        ];
+        if (role !== null && !productAttributeUpdates.has(variant.product.id)) {
+          productAttributeUpdates.set(variant.product.id, attributes.filter(change => !isVariantChange(change)));
+        }
+        const attributesMatch = attributes.length === 0;
+        if (!attributesMatch) allAttributesMatch = false;
+
+        if (quantityMatches && priceMatches && attributesMatch) {
+          variantNoChange++;
+          continue;
+        }
+
+        diffs.push({
+          sku: variant.sku,
+          status: 'change',
+          productId: variant.product.id,
+          productTitle: variant.product.title,
+          variantId: variant.id,
+          inventoryItemId: variant.inventoryItem.id,
+          role,
+          ...(!quantityMatches && {
+            oldQuantity: shopifyQuantity,
+            newQuantity: quantityChanges.reduce((sum, { locationId, quantity }) => sum + quantity - (levels[locationId] ?? 0), shopifyQuantity),
+            locations: quantityChanges.map(({ locationId, quantity }) => ({ locationId, from: levels[locationId], to: quantity })),
+          }),
+          ...(!basePriceMatches && { oldPrice: shopifyPrice, newPrice: targetPrice }),
+          ...(!compareAtMatches && {
+            oldCompareAtPrice: shopifyCompareAt,
+            newCompareAtPrice: targetCompareAt,
+            clearCompareAtPrice: targetCompareAt === null,
+          }),
+          ...(!b2bPriceMatches && { oldB2bPrice: shopifyB2bPrice, newB2bPrice: targetB2bPrice, priceListId: priceList.id }),
+          ...(!attributesMatch && { attributes }),
+          ...(targetVisible && reservedQuantity > 0 && { reservedQuantity }),
+          reason: describeChange(role, targetVisible, visibilityRules, {
+            quantity: !quantityMatches,
+            price: !basePriceMatches,
+            compareAt: !compareAtMatches && (targetCompareAt === null ? 'clear' : 'set'),
+            b2bPrice: !b2bPriceMatches,
+            attributes: attributes.some(change => !VISIBILITY_TARGETS.includes(change.target)),
+            publication: attributes.some(change => VISIBILITY_TARGETS.includes(change.target)),
+            reservedFor: !quantityMatches && targetVisible ? reservedFor : null,
+          }),
+        });
+
+        if (dryRun) {
+          variantUpdated++;
+          continue;
+        }
+
+        // Queue quantity changes; the chunk flushes them in batches
+        if (!quantityMatches) {
+          batchKeys.push(variant.id);
+          for (const { locationId, quantity } of quantityChanges) {
+            inventoryChanges.push({
+              key: variant.id,
+              inventoryItemId: variant.inventoryItem.id,
+              locationId,
+              quantity,
+              compareQuantity: levels[locationId],
+            });
+          }
+        }
+
+        if (!b2bPriceMatches) {
+          batchKeys.push(`${variant.id}:b2b`);
+          fixedPriceChanges.push({ key: `${variant.id}:b2b`, variantId: variant.id, price: targetB2bPrice });
+        }
+
+        // Defer price and variant attribute updates to a single bulk mutation per product
+        const variantPriceMatches = basePriceMatches && compareAtMatches;
+        const variantAttributes = variantAttributeInput(attributes.filter(isVariantChange));
+        if ((!variantPriceMatches && hasPriceData) || Object.keys(variantAttributes).length) {
+          priceUpdates.push({
+            id: variant.id,
+            ...(!variantPriceMatches && hasPriceData && {
+              price: targetPrice.toFixed(2),
+              ...(targetCompareAt !== undefined && { compareAtPrice: targetCompareAt?.toFixed(2) ?? null }),
+            }),
+            ...variantAttributes,
+          });
+        }
+      }
+
+      if (!dryRun) {
+        for (const [productId, changes] of productAttributeUpdates) {
+          if (!changes.length) continue;
+          try {
+            await applyProductAttributes(admin, productId, changes);
+            variantUpdated++;
+          } catch (e) {
+            console.error(`Product field update errors (${productId})`, e);
+            variantErrors++;
+          }
+        }
+      }
+
+      // One bulk price update per product
+      if (priceUpdates.length) {
+        try {
+          const res = await updateProductVariantPricesBulk(admin, shopifyVariants[0].product.id, priceUpdates);
+          const userErrors = res?.data?.productVariantsBulkUpdate?.userErrors || [];
+          if (userErrors.length) {
+            console.error('Price bulk update errors', userErrors);
+            variantErrors++;
+          } else {
+            variantUpdated += priceUpdates.length;
+          }
+        } catch (e) {
+          console.error('Price bulk update exception', e);
+          variantErrors++;
+        }
+      }
+
+      return {
+        sku: product.code,
+        finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity, reservedFor,
+        shopifyVariants, variantUpdated, variantNoChange, variantErrors,
+        allMatch: allVariantQuantitiesMatch && allVariantPricesMatch && allAttributesMatch,
+        firstVariantQuantity, firstVariantPrice,
+        batchKeys, diffs
+      };
+    } catch (err) {
+      return {
+        sku: product.code,
+        status: 'error',
+        finaQuantity: locations.reduce((sum, { locationId }) => sum + (quantityMap[locationId]?.[product.id] || 0), 0),
+        finaB2cPrice: b2cPriceMap[product.id] || 0,
+        finaB2bPrice: b2bPriceMap[product.id] || 0,
+        shopifyQuantity: 'Error',
+        shopifyPrice: 'Error',
+        message: err.message
+      };
+    }
+  });
+
+  const inventoryErrors = inventoryChanges.length
+    ? await setInventoryQuantities(inventoryChanges, admin)
+    : new Map();
+  if (inventoryChanges.length) {
+    console.log(`📦 Chunk ${chunkIndex + 1}/${totalChunks}: ${inventoryChanges.length} inventory quantities sent, ${inventoryErrors.size} variant(s) failed`);
+  }
+  const fixedPriceErrors = fixedPriceChanges.length
+    ? await setFixedPrices(admin, priceList, fixedPriceChanges)
+    : new Map();
+  if (fixedPriceChanges.length) {
+    console.log(`💶 Chunk ${chunkIndex + 1}/${totalChunks}: ${fixedPriceChanges.length} B2B prices sent to ${priceList.catalogTitle}, ${fixedPriceErrors.size} failed`);
+  }
+
+  const batchErrors = new Map([...inventoryErrors, ...fixedPriceErrors]);
+  console.log(`✅ Chunk ${chunkIndex + 1}/${totalChunks} completed`);
+  return results.map(result => (result.shopifyVariants ? productResult(result, batchErrors, dryRun) : result));
+}
+
+/** Final per-product result, once the chunk's batched writes reported back */
+function productResult(state, batchErrors, dryRun) {
+  const { sku, finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity, shopifyVariants, variantNoChange, diffs } = state;
+  let { variantUpdated, variantErrors } = state;
+  const messages = [];
+  const withReservation = (message) => (state.reservedFor ? `${message}; ${state.reservedFor}` : message);
+  for (const key of state.batchKeys) {
+    if (batchErrors.has(key)) {
+      variantErrors++;
+      messages.push(batchErrors.get(key));
+    } else {
+      variantUpdated++;
+    }
+  }
+
+  if (state.allMatch) {
+    return {
+      sku,
+      status: 'no_change',
+      finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity,
+      shopifyQuantity: state.firstVariantQuantity,
+      shopifyPrice: state.firstVariantPrice,
+      variantCount: shopifyVariants.length,
+      message: withReservation(`All ${shopifyVariants.length} variant(s) already match (qty & price)`),
+      diffs
+    };
+  } else if (variantErrors === 0) {
+    return {
+      sku,
+      status: 'updated',
+      finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity,
+      shopifyQuantity: `${variantUpdated} ${dryRun ? 'to update' : 'updated'}, ${variantNoChange} unchanged`,
+      shopifyPrice: dryRun ? 'Would update B2C/B2B prices from FINA' : 'Updated B2C/B2B prices from FINA',
+      variantCount: shopifyVariants.length,
+      message: withReservation(`${dryRun ? 'Would update' : 'Updated'} ${variantUpdated} of ${shopifyVariants.length} variant(s) (qty/price)`),
+      diffs
+    };
+  } else {
+    return {
+      sku,
+      status: 'error',
+      finaQuantity, finaB2cPrice, finaB2bPrice, reservedQuantity,
+      shopifyQuantity: `${variantUpdated} updated, ${variantErrors} errors`,
+      shopifyPrice: `Error updating B2C/B2B prices`,
+      variantCount: shopifyVariants.length,
+      message: withReservation(`${variantErrors} error(s) updating ${shopifyVariants.length} variant(s) (qty/price)${messages.length ? `: ${[...new Set(messages)].join('; ')}` : ''}`),
+      diffs
+    };
+  }
+}
+
+// ---------------- Applying a dry-run diff ----------------
+
+/**
+ * Execute previewed changes exactly as recorded, without re-reading FINA.
+ * Quantities and B2B fixed prices go out in batches, price changes are
+ * batched per product like in a normal run.
+ * @param {Array<Object>} diffs - SyncDiff rows with status "change"
+ * @param {Object} admin - Admin API client
+ * @returns {Promise<Array<Object>>} one result per diff
+ */
+export async function applySyncDiffs(diffs, admin) {
+  const byProduct = new Map();
+  for (const diff of diffs) {
+    if (!byProduct.has(diff.productId)) byProduct.set(diff.productId, []);
+    byProduct.get(diff.productId).push(diff);
+  }
+
+  // Quantities are checked against what the preview saw, so stock sold since is kept
+  const batchErrors = await setInventoryQuantities(
+    diffs.flatMap(diff => (diff.locations || []).map(({ locationId, from, to }) => ({
+      key: diff.id,
+      inventoryItemId: diff.inventoryItemId,
+      locationId,
+      quantity: to,
+      compareQuantity: from,
+    }))),
+    admin
+  );
+
+  // B2B fixed prices, per price list the preview wrote to
+  const fixedPriceDiffs = diffs.filter(diff => diff.newB2bPrice !== null && diff.priceListId);
+  for (const priceListId of new Set(fixedPriceDiffs.map(diff => diff.priceListId))) {
+    const listDiffs = fixedPriceDiffs.filter(diff => diff.priceListId === priceListId);
+    const currency = await getPriceListCurrency(admin, priceListId);
+    const priceErrors = currency
+      ? await setFixedPrices(admin, { id: priceListId, currency }, listDiffs.map(diff => ({
+        key: diff.id, variantId: diff.variantId, price: diff.newB2bPrice,
+      })))
+      : new Map(listDiffs.map(diff => [diff.id, 'B2B price list no longer exists']));
+    for (const [key, message] of priceErrors) {
+      batchErrors.set(key, [batchErrors.get(key), message].filter(Boolean).join('; '));
+    }
+  }
+
+  const productGroups = [...byProduct.values()];
+  const CONCURRENCY = 10;
+  const groups = await withConcurrency(productGroups, CONCURRENCY, async (productDiffs) => {
+    const errors = new Map(productDiffs.filter(d => batchErrors.has(d.id)).map(d => [d.id, batchErrors.get(d.id)]));
+
+    const variantAttributes = (d) => variantAttributeInput((d.attributes || []).filter(isVariantChange));
+    const priceDiffs = productDiffs.filter(d => d.newPrice !== null || d.newCompareAtPrice !== null || d.clearCompareAtPrice
+      || Object.keys(variantAttributes(d)).length);
+    if (priceDiffs.length) {
+      const payload = priceDiffs.map(d => ({
+        id: d.variantId,
+        ...(d.newPrice !== null && { price: d.newPrice.toFixed(2) }),
+        ...(d.newCompareAtPrice !== null && { compareAtPrice: d.newCompareAtPrice.toFixed(2) }),
+        ...(d.clearCompareAtPrice && { compareAtPrice: null }),
+        ...variantAttributes(d),
+      }));
+      try {
+        const res = await updateProductVariantPricesBulk(admin, productDiffs[0].productId, payload);
+        const userErrors = res?.data?.productVariantsBulkUpdate?.userErrors || [];
+        if (userErrors.length) {
+          const message = userErrors.map(e => e.message).join('; ');
+          for (const d of priceDiffs) errors.set(d.id, [errors.get(d.id), message].filter(Boolean).join('; '));
+        }
+      } catch (e) {
+        for (const d of priceDiffs) errors.set(d.id, [errors.get(d.id), e.message].filter(Boolean).join('; '));
+      }
+    }
+
+    for (const diff of productDiffs) {
+      const changes = (diff.attributes || []).filter(change => !isVariantChange(change));
+      if (!changes.length) continue;
+      try {
+        await applyProductAttributes(admin, diff.productId, changes);
+      } catch (e) {
+        errors.set(diff.id, [errors.get(diff.id), e.message].filter(Boolean).join('; '));
+      }
+    }
+
+    return productDiffs.map(diff => ({
+      sku: diff.sku,
+      status: errors.has(diff.id) ? 'error' : 'updated',
+      shopifyQuantity: diff.newQuantity !== null ? `${diff.oldQuantity} → ${diff.newQuantity}` : undefined,
+      shopifyPrice: diff.newPrice !== null ? `${diff.oldPrice} → ${diff.newPrice}` : undefined,
+      message: errors.get(diff.id) ?? `Applied previewed change (${diff.reason})`,
+    }));
+  });
+
+  return groups.flatMap((group, i) => Array.isArray(group)
+    ? group
+    : productGroups[i].map(diff => ({ sku: diff.sku, status: 'error', message: group.error })));
+}
@@ -0,0 +1,173 @@
+/**
+ * Location Mapping Service
+ * Decides which FINA stores feed which Shopify location.
+ *
+ * Each FINA store maps to at most one location; several stores mapped to the
+ * same location are summed. Shops without a mapping keep the old behaviour:
+ * the connection's default store feeds the first Shopify location.
+ */
+
+import prisma from "../db.server";
+
+/**
+ * @typedef {Object} StoreLocation
+ * @property {string} locationId - Shopify location GID
+ * @property {string|null} locationName
+ * @property {number[]} finaStoreIds - FINA stores summed into this location
+ */
+
+/** Cache the primary location per admin client (one per worker loop) */
+const primaryLocationCache = new WeakMap();
+async function getPrimaryLocation(admin) {
+  if (primaryLocationCache.has(admin)) return primaryLocationCache.get(admin);
+  const response = await admin.graphql(`query { locations(first: 1) { nodes { id name } } }`);
+  const data = await response.json();
+  const location = data?.data?.locations?.nodes?.[0];
+  if (!location) throw new Error('No Shopify location found');
+  primaryLocationCache.set(admin, location);
+  return location;
+}
+
+/**
+ * Active Shopify locations, for the mapping UI
+ * @param {Object} admin - Admin API client
+ */
+export async function getShopifyLocations(admin) {
+  const response = await admin.graphql(`
+    query {
+      locations(first: 100) {
+        nodes { id name isActive }
+      }
+    }
+  `);
+  const data = await response.json();
+  return (data?.data?.locations?.nodes || []).filter(location => location.isActive);
+}
+
+/**
+ * Saved mapping grouped by location (empty when the shop has none)
+ * @param {string} shop
+ * @returns {Promise<StoreLocation[]>}
+ */
+export async function getLocationMappings(shop) {
+  const rows = await prisma.locationMapping.findMany({
+    where: { shop },
+    orderBy: { finaStoreId: "asc" },
+  });
+
+  const byLocation = new Map();
+  for (const row of rows) {
+    if (!byLocation.has(row.locationId)) {
+      byLocation.set(row.locationId, {
+        locationId: row.locationId,
+        locationName: row.locationName,
+        finaStoreIds: [],
+      });
+    }
+    byLocation.get(row.locationId).finaStoreIds.push(row.finaStoreId);
+  }
+  return [...byLocation.values()];
+}
+
+/**
+ * Locations a sync writes to, falling back to defaultStoreId → first location
+ * @param {string} shop
+ * @param {Object} admin - Admin API client
+ * @param {{ defaultStoreId: number }} finaSettings
+ * @returns {Promise<StoreLocation[]>}
+ */
+export async function resolveStoreLocations(shop, admin, finaSettings) {
+  const mappings = await getLocationMappings(shop);
+  if (mappings.length) return mappings;
+
+  const primary = await getPrimaryLocation(admin);
+  return [{ locationId: primary.id, locationName: primary.name, finaStoreIds: [finaSettings.defaultStoreId] }];
+}
+
+/**
+ * FINA rest per Shopify location. Each FINA store is fetched once.
+ * @param {ReturnType<import("./fina-client.js").createFinaClient>} fina
+ * @param {StoreLocation[]} locations
+ * @returns {Promise<Record<string, Record<string, number>>>} rest by location id, then FINA product id
+ */
+export async function loadRestByLocation(fina, locations) {
+  const quantityMap = {};
+  for (const location of locations) {
+    const rest = {};
+    for (const storeId of location.finaStoreIds) {
+      const data = await fina.getProductsRestByStore(storeId);
+      const storeRest = data.store_rest || [];
+      console.log(`📊 FINA store ${storeId} → ${location.locationName || location.locationId}: ${storeRest.length} rest entries`);
+      for (const item of storeRest) rest[item.id] = (rest[item.id] || 0) + item.rest;
+    }
+    quantityMap[location.locationId] = rest;
+  }
+  return quantityMap;
+}
+
+/**
+ * GraphQL selection for an inventoryItem's available quantity at each
+ * location, aliased level0..levelN in `locations` order
+ * @param {StoreLocation[]} locations
+ */
+export function inventoryLevelsSelection(locations) {
+  return locations
+    .map((location, i) => `level${i}: inventoryLevel(locationId: ${JSON.stringify(location.locationId)}) { quantities(names: ["available"]) { quantity } }`)
+    .join("\n");
+}
+
+/**
+ * Read the levels selected by inventoryLevelsSelection, or the `levels` map
+ * of a variant from the bulk export (variant-index.js). null means the item
+ * is not stocked at that location.
+ * @param {Object} inventoryItem
+ * @param {StoreLocation[]} locations
+ * @returns {Record<string, number|null>}
+ */
+export function readInventoryLevels(inventoryItem, locations) {
+  const levels = {};
+  locations.forEach((location, i) => {
+    if (inventoryItem?.levels) {
+      levels[location.locationId] = inventoryItem.levels[location.locationId] ?? null;
+      return;
+    }
+    const level = inventoryItem?.[`level${i}`];
+    levels[location.locationId] = level ? (level.quantities?.[0]?.quantity ?? 0) : null;
+  });
+  return levels;
+}
+
+/**
+ * Replace the shop's mapping from the settings form, where every location
+ * has a comma separated list of FINA store ids
+ * @param {string} shop
+ * @param {Array<{ id: string, name: string }>} shopifyLocations
+ * @param {Record<string, string>} input - `stores:<locationId>` → "1, 4"
+ */
+export async function saveLocationMappings(shop, shopifyLocations, input) {
+  const rows = [];
+  const seen = new Map();
+
+  for (const location of shopifyLocations) {
+    const value = (input[`stores:${location.id}`] || "").trim();
+    if (!value) continue;
+
+    for (const part of value.split(",")) {
+      const finaStoreId = Number(part.trim());
+      if (!Number.isInteger(finaStoreId) || finaStoreId <= 0) {
+        throw new Error(`"${part.trim()}" is not a valid FINA store id (${location.name})`);
+      }
+      if (seen.has(finaStoreId)) {
+        throw new Error(`FINA store ${finaStoreId} is mapped to both ${seen.get(finaStoreId)} and ${location.name}`);
+      }
+      seen.set(finaStoreId, location.name);
+      rows.push({ shop, finaStoreId, locationId: location.id, locationName: location.name });
+    }
+  }
+
+  await prisma.$transaction([
+    prisma.locationMapping.deleteMany({ where: { shop } }),
+    prisma.locationMapping.createMany({ data: rows }),
+  ]);
+  return rows.length;
+}
@@ -0,0 +1,296 @@
+/**
+ * Missing Products Service
+ * FINA products without a Shopify variant, queued by sync runs when the shop
+ * turned on "create missing products", and the merchant's review of them:
+ *
+ * - approve: create a draft Shopify product with a retail and a B2B variant
+ *   (only the retail one when B2B prices go to a price list), FINA prices and
+ *   stock at the mapped locations. The next sync finds it by SKU.
+ * - skip: keep the item out of the queue
+ * - link: point the FINA code at an existing product whose SKUs differ; the
+ *   variant index (variant-index.js) then treats its variants as the code's
+ */
+
+import prisma from "../db.server";
+import { getPriceMapping, parseMetafieldKey, toRetailPrice } from "./price-mapping.js";
+import { runMutation } from "./shopify-admin.js";
+
+export const MISSING_PRODUCT_STATUSES = ["pending", "created", "linked", "skipped", "failed"];
+/** Items a merchant can still act on */
+const OPEN_STATUSES = ["pending", "skipped", "failed"];
+
+/**
+ * Queue the products of a sync step that had no Shopify variant, and drop
+ * queued ones that have been found since (created by hand).
+ * @param {string} shop
+ * @param {Array<Object>} products - FINA products of the step
+ * @param {Array<Object>} results - processProductChunk results, in `products` order
+ * @param {Object} snapshot - run snapshot (prices, rest and locations)
+ * @returns {Promise<number>} newly queued products
+ */
+export async function queueMissingProducts(shop, products, results, snapshot) {
+  const missing = products.filter((product, i) => product.code && results[i]?.status === "not_found");
+  const foundCodes = products
+    .filter((product, i) => product.code && ["updated", "no_change"].includes(results[i]?.status))
+    .map(product => product.code);
+
+  const existing = await prisma.missingProduct.findMany({
+    where: { shop, code: { in: missing.map(product => product.code) } },
+    select: { code: true, status: true },
+  });
+  const statusByCode = new Map(existing.map(row => [row.code, row.status]));
+
+  const now = new Date();
+  const rows = missing.map(product => ({
+    shop,
+    code: product.code,
+    finaProductId: product.id,
+    name: product.name || product.code,
+    b2cPrice: snapshot.b2cPriceMap[product.id] ?? null,
+    b2bPrice: snapshot.b2bPriceMap[product.id] ?? null,
+    compareAtPrice: snapshot.compareAtPriceMap?.[product.id] ?? null,
+    quantities: Object.fromEntries(snapshot.locations.map(({ locationId }) => (
+      [locationId, Math.floor(snapshot.quantityMap[locationId]?.[product.id] || 0)]
+    ))),
+    lastSeenAt: now,
+  }));
+  const created = rows.filter(row => !statusByCode.has(row.code));
+  // Only refresh what hasn't been decided yet; created / linked / skipped items keep their data
+  const refreshed = rows.filter(row => ["pending", "failed"].includes(statusByCode.get(row.code)));
+
+  await prisma.$transaction([
+    prisma.missingProduct.createMany({ data: created, skipDuplicates: true }),
+    ...refreshed.map(({ shop, code, ...data }) => prisma.missingProduct.update({
+      where: { shop_code: { shop, code } },
+      data,
+    })),
+    prisma.missingProduct.deleteMany({
+      where: { shop, status: { in: ["pending", "failed"] }, code: { in: foundCodes } },
+    }),
+  ]);
+
+  if (created.length) console.log(`🆕 Queued ${created.length} missing product(s) for review (${shop})`);
+  return created.length;
+}
+
+/**
+ * One page of the review queue, with counts per status for the tabs
+ * @param {string} shop
+ * @param {{ status?: string, query?: string, page?: number, pageSize?: number }} [options]
+ */
+export async function getMissingProducts(shop, { status = "pending", query = "", page = 1, pageSize = 50 } = {}) {
+  const search = query
+    ? { OR: [{ code: { contains: query, mode: "insensitive" } }, { name: { contains: query, mode: "insensitive" } }] }
+    : {};
+  const where = { shop, status, ...search };
+
+  const [items, total, grouped] = await Promise.all([
+    prisma.missingProduct.findMany({
+      where,
+      orderBy: { lastSeenAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.missingProduct.count({ where }),
+    prisma.missingProduct.groupBy({
+      by: ["status"],
+      where: { shop, ...search },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(MISSING_PRODUCT_STATUSES.map(s => [s, 0]));
+  for (const group of grouped) counts[group.status] = group._count._all;
+
+  return { items, total, counts };
+}
+
+/**
+ * Linked Shopify products, for the variant index
+ * @param {string} shop
+ * @returns {Promise<Record<string, string>>} FINA code by Shopify product id
+ */
+export async function getLinkedProducts(shop) {
+  const rows = await prisma.missingProduct.findMany({
+    where: { shop, status: "linked", shopifyProductId: { not: null } },
+    select: { code: true, shopifyProductId: true },
+  });
+  return Object.fromEntries(rows.map(row => [row.shopifyProductId, row.code]));
+}
+
+/**
+ * @param {string} shop
+ * @param {string[]} ids
+ */
+export async function skipMissingProducts(shop, ids) {
+  const { count } = await prisma.missingProduct.updateMany({
+    where: { shop, id: { in: ids }, status: { in: ["pending", "failed"] } },
+    data: { status: "skipped", error: null },
+  });
+  return count;
+}
+
+/**
+ * @param {string} shop
+ * @param {string} id
+ * @param {{ id: string, title: string }} product - Shopify product picked by the merchant
+ */
+export async function linkMissingProduct(shop, id, product) {
+  const { count } = await prisma.missingProduct.updateMany({
+    where: { shop, id, status: { in: OPEN_STATUSES } },
+    data: { status: "linked", shopifyProductId: product.id, shopifyTitle: product.title, error: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Create a draft product for each approved item, one at a time
+ * @param {string} shop
+ * @param {string[]} ids
+ * @param {Object} admin - Admin API client
+ * @returns {Promise<{ created: number, failed: number }>}
+ */
+export async function approveMissingProducts(shop, ids, admin) {
+  const items = await prisma.missingProduct.findMany({
+    where: { shop, id: { in: ids }, status: { in: OPEN_STATUSES } },
+  });
+  const priceMapping = await getPriceMapping(shop);
+
+  let created = 0;
+  for (const item of items) {
+    try {
+      const product = await createDraftProduct(admin, item, priceMapping);
+      await prisma.missingProduct.update({
+        where: { id: item.id },
+        data: { status: "created", shopifyProductId: product.id, shopifyTitle: product.title, error: null },
+      });
+      created++;
+      console.log(`✅ Draft product created for FINA ${item.code}: ${product.id}`);
+    } catch (error) {
+      console.error(`❌ Could not create a product for FINA ${item.code}:`, error);
+      await prisma.missingProduct.update({
+        where: { id: item.id },
+        data: { status: "failed", error: error.message },
+      });
+    }
+  }
+  return { created, failed: items.length - created };
+}
+
+// ---------------- Shopify product creation ----------------
+
+/**
+ * Option and variant values that classifyVariant (price-mapping.js) will
+ * recognise as the retail and the B2B variant
+ * @param {Object} item - MissingProduct row
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} mapping
+ */
+function variantBlueprints(item, mapping) {
+  // Retail prices as a sync would write them (see toRetailPrice)
+  const price = item.b2cPrice == null ? null : toRetailPrice(item.b2cPrice, mapping);
+  const compareAt = item.compareAtPrice == null ? null : toRetailPrice(item.compareAtPrice, mapping);
+  const compareAtPrice = compareAt !== null && compareAt > (price ?? 0) ? compareAt : null;
+
+  // B2B prices live in a catalog price list: one variant, priced by the next sync
+  if (mapping.variantSelector === "priceList") {
+    return {
+      optionName: "Title",
+      variants: [{ optionValue: "Default Title", sku: item.code, price, compareAtPrice }],
+    };
+  }
+
+  const byValue = mapping.variantSelector === "option" || mapping.variantSelector === "metafield";
+  const optionName = mapping.variantSelector === "option" ? mapping.selectorKey : "Customer type";
+  const retailValue = (byValue && mapping.retailValue) || "Retail";
+  const b2bValue = (byValue && mapping.b2bValue) || "B2B";
+  const b2bSku = mapping.variantSelector === "skuSuffix" ? `${item.code}${mapping.b2bValue}` : item.code;
+
+  const metafield = (value) => {
+    if (mapping.variantSelector !== "metafield") return {};
+    const { namespace, key } = parseMetafieldKey(mapping.selectorKey);
+    return { metafields: [{ namespace, key, type: "single_line_text_field", value }] };
+  };
+
+  return {
+    optionName,
+    variants: [
+      {
+        optionValue: retailValue,
+        sku: item.code,
+        price,
+        compareAtPrice,
+        ...metafield(retailValue),
+      },
+      {
+        optionValue: b2bValue,
+        sku: b2bSku,
+        price: item.b2bPrice,
+        compareAtPrice: null,
+        ...metafield(b2bValue),
+      },
+    ],
+  };
+}
+
+/**
+ * Draft product with a retail and a B2B variant. The product is removed again
+ * when its variants can't be created, so a failure leaves nothing behind.
+ * @param {Object} admin
+ * @param {Object} item - MissingProduct row
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} mapping
+ * @returns {Promise<{ id: string, title: string }>}
+ */
+async function createDraftProduct(admin, item, mapping) {
+  const { optionName, variants } = variantBlueprints(item, mapping);
+
+  const { product } = await runMutation(admin, `
+    mutation productCreate($product: ProductCreateInput!) {
+      productCreate(product: $product) {
+        product { id title }
+        userErrors { field message }
+      }
+    }
+  `, {
+    product: {
+      title: item.name,
+      status: "DRAFT",
+      productOptions: [{ name: optionName, values: variants.map(v => ({ name: v.optionValue })) }],
+    },
+  }, "productCreate");
+
+  const inventoryQuantities = Object.entries(item.quantities || {})
+    .map(([locationId, quantity]) => ({ locationId, availableQuantity: quantity }));
+
+  try {
+    await runMutation(admin, `
+      mutation productVariantsBulkCreate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkCreate(productId: $productId, variants: $variants, strategy: REMOVE_STANDALONE_VARIANT) {
+          productVariants { id sku }
+          userErrors { field message }
+        }
+      }
+    `, {
+      productId: product.id,
+      variants: variants.map(variant => ({
+        optionValues: [{ optionName, name: variant.optionValue }],
+        price: (variant.price ?? 0).toFixed(2),
+        ...(variant.compareAtPrice != null && { compareAtPrice: variant.compareAtPrice.toFixed(2) }),
+        inventoryItem: { sku: variant.sku, tracked: true },
+        inventoryQuantities,
+        ...(variant.metafields && { metafields: variant.metafields }),
+      })),
+    }, "productVariantsBulkCreate");
+  } catch (error) {
+    await runMutation(admin, `
+      mutation productDelete($input: ProductDeleteInput!) {
+        productDelete(input: $input) {
+          deletedProductId
+          userErrors { field message }
+        }
+      }
+    `, { input: { id: product.id } }, "productDelete").catch(e => console.error(`Could not remove ${product.id}:`, e));
+    throw error;
+  }
+
+  return product;
+}
@@ -0,0 +1,564 @@
+/**
+ * Order Exports
+ * Durable queue of Shopify orders posted to FINA (fina-orders.js). Every
+ * order gets one OrderExport row recording its status, attempts, FINA
+ * document id and last error, with the webhook payload it is exported from.
+ *
+ * pending → processing → exported | skipped | failed | held
+ *
+ * A cancelled order gets a second row of kind "reversal" (orders/cancelled).
+ * The app doesn't post returns: a reversal is held on the Orders page with
+ * the FINA document to reverse there, and marked as handled once it is. A
+ * sale still in the queue is cancelled instead, and the reversal is only
+ * held when an earlier attempt may have reached FINA. While the sale is being
+ * posted the reversal fails and retries; a sale queued after its reversal
+ * is cancelled rather than posted.
+ *
+ * From the Orders page a failed, skipped or held export can be retried, or
+ * marked as handled when it was entered in FINA by hand (or isn't needed
+ * there). A held export (line items without a FINA product, see
+ * order-settings.js) gets its lines mapped to FINA products there first.
+ *
+ * The orders/create webhook only queues the order and answers; the export
+ * runs in a background worker with the shop's offline session. Hosts that
+ * freeze after the response (serverless) leave it to the scheduler's pass.
+ *
+ * Failed exports are retried with exponential backoff by the sync scheduler
+ * (sync-scheduler.js) until MAX_ATTEMPTS. An export whose worker died while
+ * posting (expired lease), or whose post timed out or hit a FINA server
+ * error, is failed without a retry: FINA may already have its document, so
+ * someone has to check before it is sent again.
+ *
+ * The order tags the webhook used to keep its state in are now only a mirror
+ * of the sale's status, for filtering orders in the Shopify admin.
+ */
+
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { FinaApiError } from "./fina-client.js";
+import { getFinaClientForShop } from "./fina-connection.js";
+import { postFinaDocument, prepareFinaDocument } from "./fina-orders.js";
+import { runMutation, withThrottling } from "./shopify-admin.js";
+
+export const EXPORT_STATUSES = ["pending", "processing", "exported", "failed", "skipped", "held", "handled", "cancelled"];
+/** Orders whose document isn't in FINA yet, but may still get there */
+export const OPEN_STATUSES = ["pending", "processing", "failed", "held"];
+/** Exports the Orders page can send again or mark as handled */
+export const RETRYABLE_STATUSES = ["failed", "skipped", "held"];
+/** Sale exports a cancellation takes out of the queue */
+const CANCELLABLE_STATUSES = ["pending", "failed", "skipped", "held"];
+
+/** Order tags mirroring an export's status */
+export const EXPORT_TAGS = {
+  processing: "start processing",
+  failed: "order creating problem in fina",
+  exported: "successfully order created in fina",
+};
+
+const STATUS_TAGS = {
+  pending: EXPORT_TAGS.processing,
+  processing: EXPORT_TAGS.processing,
+  failed: EXPORT_TAGS.failed,
+  held: EXPORT_TAGS.failed,
+  exported: EXPORT_TAGS.exported,
+};
+
+export const MAX_ATTEMPTS = 10;
+const LEASE_MS = 5 * 60 * 1000;
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const ERROR_LENGTH = 2000;
+/** Marks the order note line this app keeps about unmapped line items */
+const NOTE_PREFIX = "FINA export:";
+/** Starts the error of exports whose post may have reached FINA; they aren't retried */
+export const UNCONFIRMED_POST_ERROR = "FINA may already have this document.";
+const INTERRUPTED_ERROR = `${UNCONFIRMED_POST_ERROR} The export was interrupted while posting, check FINA before retrying.`;
+
+/** Exports this process is running in the background */
+const activeWorkers = new Set();
+
+/**
+ * When a failed export is tried again: 1 min after the first attempt,
+ * doubling up to 6 h; null once MAX_ATTEMPTS is reached
+ * @param {number} attempts - attempts made so far
+ */
+export function nextRetryAt(attempts, now = new Date()) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+  return new Date(now.getTime() + delay);
+}
+
+/** Error text to keep on the export, with FINA's response body when there is one */
+function describeError(error) {
+  const body = error?.body;
+  const detail = body === null || body === undefined ? "" : ` – ${typeof body === "string" ? body : JSON.stringify(body)}`;
+  return `${error?.message ?? error}${detail}`.slice(0, ERROR_LENGTH);
+}
+
+/**
+ * Record an order for export; an order that is already queued keeps its row.
+ * Returned unawaited so it can run in the webhook's transaction.
+ * @param {string} shop
+ * @param {Object} order - orders/create or orders/cancelled webhook payload
+ * @param {"sale"|"reversal"} [kind] - reversal settles the sale of a cancelled order
+ */
+export function enqueueOrderExport(shop, order, kind = "sale") {
+  const orderId = String(order.id);
+  return prisma.orderExport.upsert({
+    where: { shop_orderId_kind: { shop, orderId, kind } },
+    create: { shop, orderId, orderName: order.name ?? null, kind, payload: order, nextAttemptAt: new Date() },
+    update: {},
+  });
+}
+
+async function claimExport(id) {
+  const now = new Date();
+  const { count } = await prisma.orderExport.updateMany({
+    where: { id, status: { in: ["pending", "failed"] }, nextAttemptAt: { lte: now } },
+    data: {
+      status: "processing",
+      attempts: { increment: 1 },
+      lockedUntil: new Date(now.getTime() + LEASE_MS),
+    },
+  });
+  return count === 1;
+}
+
+/**
+ * Set the order's export tag for a status and remove the others. A failure
+ * is only logged: the tags don't drive anything.
+ * @param {Object} admin
+ * @param {string} orderId - numeric Shopify order id
+ * @param {string} status
+ */
+export async function mirrorExportTags(admin, orderId, status) {
+  const id = `gid://shopify/Order/${orderId}`;
+  const tag = STATUS_TAGS[status] ?? null;
+  const stale = Object.values(EXPORT_TAGS).filter(t => t !== tag);
+  try {
+    await runMutation(admin, `
+      mutation tagsRemove($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          node { id }
+          userErrors { field message }
+        }
+      }
+    `, { id, tags: stale }, "tagsRemove");
+    if (tag) {
+      await runMutation(admin, `
+        mutation tagsAdd($id: ID!, $tags: [String!]!) {
+          tagsAdd(id: $id, tags: $tags) {
+            node { id }
+            userErrors { field message }
+          }
+        }
+      `, { id, tags: [tag] }, "tagsAdd");
+    }
+  } catch (error) {
+    console.error(`❌ Could not tag order ${orderId} as ${status}:`, error);
+  }
+}
+
+/** One-line summary of unmapped line items */
+function describeUnmappedLines(lines) {
+  const items = lines.map(line => `${line.sku ?? "no SKU"} (${line.title}) × ${line.quantity}`);
+  return `${lines.length} line item(s) not in FINA: ${items.join(", ")}`;
+}
+
+/**
+ * Keep one line about an export's unmapped items in the order note, in
+ * place of the previous one. The Admin API can't add comments to the order
+ * timeline, so the note is where staff see it on the order.
+ * @param {Object} admin
+ * @param {string} orderId
+ * @param {string} text
+ */
+async function noteOnOrder(admin, orderId, text) {
+  const id = `gid://shopify/Order/${orderId}`;
+  try {
+    const response = await admin.graphql(`
+      query orderNote($id: ID!) { order(id: $id) { note } }
+    `, { variables: { id } });
+    const data = await response.json();
+    const kept = (data?.data?.order?.note || "")
+      .split("\n")
+      .filter(line => !line.startsWith(NOTE_PREFIX))
+      .join("\n")
+      .trimEnd();
+    const line = `${NOTE_PREFIX} ${text}`;
+    await runMutation(admin, `
+      mutation orderUpdate($input: OrderInput!) {
+        orderUpdate(input: $input) {
+          order { id }
+          userErrors { field message }
+        }
+      }
+    `, { input: { id, note: kept ? `${kept}\n${line}` : line } }, "orderUpdate");
+  } catch (error) {
+    console.error(`❌ Could not note unmapped lines on order ${orderId}:`, error);
+  }
+}
+
+/**
+ * Build and post an order's sales document
+ * @param {Object} record - claimed OrderExport
+ * @returns {Promise<Object>} the export's new state
+ */
+async function exportSale(record, { admin, session }) {
+  const reversal = await prisma.orderExport.findUnique({
+    where: { shop_orderId_kind: { shop: record.shop, orderId: record.orderId, kind: "reversal" } },
+    select: { id: true },
+  });
+  if (reversal || record.payload.cancelled_at) {
+    return { status: "cancelled", lastError: "The order was cancelled before it was sent to FINA", nextAttemptAt: null };
+  }
+
+  const prepared = await prepareFinaDocument(record.payload, session, { lineMappings: record.lineMappings ?? {} });
+  if (prepared.status === "skipped") {
+    return { status: "skipped", lastError: prepared.reason, nextAttemptAt: null };
+  }
+
+  // Kept before posting, so a failed post still shows what was sent
+  await prisma.orderExport.update({
+    where: { id: record.id },
+    data: { finaDocument: prepared.document, unmappedLines: prepared.unmappedLines },
+  });
+
+  const { unmappedLines } = prepared;
+  if (unmappedLines.length) {
+    const outcome = prepared.status === "ready"
+      ? "posted as placeholders"
+      : prepared.policy === "hold" ? "held for mapping in the FINA app" : "export failed";
+    await noteOnOrder(admin, record.orderId, `${describeUnmappedLines(unmappedLines)} – ${outcome}`);
+  }
+
+  if (prepared.status === "unmapped" && prepared.policy === "hold") {
+    return { status: "held", lastError: describeUnmappedLines(unmappedLines), nextAttemptAt: null };
+  }
+  if (prepared.status === "unmapped") {
+    throw new Error(describeUnmappedLines(unmappedLines));
+  }
+
+  let posted;
+  try {
+    posted = await postFinaDocument(record.shop, prepared.document);
+  } catch (error) {
+    // A rejection is retried; a post that may have gone through isn't
+    if (!(error instanceof FinaApiError && error.isOutcomeUnknown)) throw error;
+    console.error(`❌ Post of order ${record.orderName ?? record.orderId} to FINA may have gone through, not retrying:`, error);
+    return { status: "failed", lastError: `${UNCONFIRMED_POST_ERROR} ${describeError(error)}`.slice(0, ERROR_LENGTH), nextAttemptAt: null };
+  }
+  return { status: "exported", finaDocId: posted.finaDocId, lastError: null, exportedAt: new Date(), nextAttemptAt: null };
+}
+
+/**
+ * Settle a cancelled order's sale. One still in the queue is cancelled; one
+ * that is (or may be) in FINA holds the reversal until staff reverse its
+ * document there and mark it as handled.
+ * @param {Object} record - claimed OrderExport of kind reversal
+ * @returns {Promise<Object>} the export's new state
+ */
+async function exportReversal(record, { admin }) {
+  const findSale = () => prisma.orderExport.findUnique({
+    where: { shop_orderId_kind: { shop: record.shop, orderId: record.orderId, kind: "sale" } },
+  });
+  const hold = (lastError, reversedDocId = null) => ({ status: "held", lastError, reversedDocId, nextAttemptAt: null });
+
+  let sale = await findSale();
+  if (sale && CANCELLABLE_STATUSES.includes(sale.status)) {
+    // Matching status and attempts, so a sale claimed in between is left alone
+    const { count } = await prisma.orderExport.updateMany({
+      where: { id: sale.id, status: sale.status, attempts: sale.attempts },
+      data: { status: "cancelled", nextAttemptAt: null },
+    });
+    if (count) {
+      await mirrorExportTags(admin, sale.orderId, "cancelled");
+      // A failed attempt (one interrupted while posting above all) may have created the document
+      const mayBeInFina = sale.status === "failed" || (sale.status === "pending" && sale.attempts > 0);
+      return mayBeInFina
+        ? hold(`The order's export was cancelled after ${sale.attempts} attempt(s) that may have reached FINA. Check FINA for its document and reverse it there, then mark this as handled.`)
+        : { status: "skipped", lastError: "The order wasn't in FINA yet, its export was cancelled", nextAttemptAt: null };
+    }
+    sale = await findSale();
+  }
+
+  if (!sale) {
+    return { status: "skipped", lastError: "No FINA export was recorded for this order; one queued later is cancelled", nextAttemptAt: null };
+  }
+  if (sale.status === "processing") {
+    throw new Error("The order is being sent to FINA; its reversal is held once it is there");
+  }
+  if (sale.status === "handled") {
+    return hold("The order was entered in FINA by hand. Reverse it there, then mark this as handled.");
+  }
+  if (sale.status !== "exported") {
+    return { status: "skipped", lastError: `The order's export was ${sale.status}, nothing to reverse in FINA`, nextAttemptAt: null };
+  }
+  return hold(
+    `Reverse FINA document ${sale.finaDocId ?? "of the order"} in FINA, then mark this as handled.`,
+    sale.finaDocId,
+  );
+}
+
+/**
+ * Post a due export to FINA and record the outcome
+ * @param {string} id - OrderExport id
+ * @param {{ admin: Object, session: Object }} client - offline session of the shop
+ * @returns {Promise<Object|null>} the updated export, null when it wasn't due or is taken
+ */
+export async function runOrderExport(id, { admin, session }) {
+  if (!(await claimExport(id))) return null;
+  const record = await prisma.orderExport.findUnique({ where: { id } });
+  // Tags follow the sale; a return leaves them alone
+  const isSale = record.kind === "sale";
+  if (isSale) await mirrorExportTags(admin, record.orderId, "processing");
+
+  let data;
+  try {
+    data = isSale
+      ? await exportSale(record, { admin, session })
+      : await exportReversal(record, { admin });
+  } catch (error) {
+    const retryAt = nextRetryAt(record.attempts);
+    console.error(`❌ Export of order ${record.orderName ?? record.orderId} (${record.kind}) failed (attempt ${record.attempts}${retryAt ? `, retry at ${retryAt.toISOString()}` : ", giving up"}):`, error);
+    data = { status: "failed", lastError: describeError(error), nextAttemptAt: retryAt };
+  }
+
+  const updated = await prisma.orderExport.update({
+    where: { id },
+    data: { ...data, lockedUntil: null },
+  });
+  if (isSale) await mirrorExportTags(admin, updated.orderId, updated.status);
+  console.log(`📤 Order ${updated.orderName ?? updated.orderId} ${updated.kind} export ${updated.status}${updated.finaDocId ? ` (FINA document ${updated.finaDocId})` : ""}`);
+  return updated;
+}
+
+function searchWhere(query) {
+  return query
+    ? { OR: [{ orderName: { contains: query, mode: "insensitive" } }, { orderId: { contains: query } }] }
+    : {};
+}
+
+/**
+ * One page of the Orders page, with counts per status for the tabs
+ * @param {string} shop
+ * @param {{ status?: string, query?: string, page?: number, pageSize?: number }} [options]
+ */
+export async function getOrderExports(shop, { status = "failed", query = "", page = 1, pageSize = 50 } = {}) {
+  const search = searchWhere(query);
+  const where = { shop, status, ...search };
+
+  const [items, total, grouped] = await Promise.all([
+    prisma.orderExport.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+      select: {
+        id: true,
+        orderId: true,
+        orderName: true,
+        kind: true,
+        status: true,
+        attempts: true,
+        finaDocId: true,
+        reversedDocId: true,
+        lastError: true,
+        nextAttemptAt: true,
+        exportedAt: true,
+        createdAt: true,
+      },
+    }),
+    prisma.orderExport.count({ where }),
+    prisma.orderExport.groupBy({
+      by: ["status"],
+      where: { shop, ...search },
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(EXPORT_STATUSES.map(s => [s, 0]));
+  for (const group of grouped) counts[group.status] = group._count._all;
+
+  return { items, total, counts };
+}
+
+/**
+ * One export with its payload and FINA document
+ * @param {string} shop
+ * @param {string} id
+ */
+export async function getOrderExport(shop, id) {
+  return prisma.orderExport.findFirst({ where: { shop, id } });
+}
+
+/**
+ * Queue failed, skipped or held exports to be sent again now, either by id or all
+ * matching a status and search. Held reversals wait on staff, not on a retry.
+ * @param {string} shop
+ * @param {{ ids?: string[], status?: string, query?: string }} selection
+ * @returns {Promise<Array<{ id: string, shop: string }>>} exports queued
+ */
+export async function retryOrderExports(shop, { ids, status, query = "" }) {
+  const where = {
+    shop,
+    status: { in: status ? [status].filter(s => RETRYABLE_STATUSES.includes(s)) : RETRYABLE_STATUSES },
+    NOT: { kind: "reversal", status: "held" },
+    ...(ids ? { id: { in: ids } } : searchWhere(query)),
+  };
+  const retried = await prisma.orderExport.findMany({ where, select: { id: true, shop: true } });
+  await prisma.orderExport.updateMany({
+    where: { ...where, id: { in: retried.map(e => e.id) } },
+    data: { status: "pending", nextAttemptAt: new Date() },
+  });
+  return retried;
+}
+
+/**
+ * Map the lines of a held export to FINA products by code and queue it again
+ * @param {string} shop
+ * @param {string} id
+ * @param {Record<string, string>} codes - FINA product code by line item id
+ * @returns {Promise<{ id: string, shop: string }>} the export to run
+ */
+export async function mapHeldOrderLines(shop, id, codes) {
+  const record = await prisma.orderExport.findFirst({ where: { shop, id, status: "held" } });
+  if (!record) throw new Error("This order isn't waiting for mapping anymore");
+
+  const fina = await getFinaClientForShop(shop);
+  const { products = [] } = await fina.getProducts();
+  const idByCode = new Map(products.filter(p => p.code).map(p => [p.code, p.id]));
+
+  const lineMappings = { ...(record.lineMappings ?? {}) };
+  for (const line of record.unmappedLines ?? []) {
+    const code = String(codes[line.lineId] ?? "").trim();
+    if (!code) throw new Error(`Enter a FINA product code for ${line.title || line.sku}`);
+    if (!idByCode.has(code)) throw new Error(`"${code}" is not a FINA product code`);
+    lineMappings[line.lineId] = idByCode.get(code);
+  }
+
+  const { count } = await prisma.orderExport.updateMany({
+    where: { id, status: "held" },
+    data: { lineMappings, status: "pending", nextAttemptAt: new Date() },
+  });
+  if (!count) throw new Error("This order isn't waiting for mapping anymore");
+  return { id, shop };
+}
+
+/**
+ * Take failed, skipped or held exports out of the queue
+ * @param {string} shop
+ * @param {string[]} ids
+ * @param {Object} admin - to update the order tags
+ */
+export async function markOrderExportsHandled(shop, ids, admin) {
+  const handled = await prisma.orderExport.findMany({
+    where: { shop, id: { in: ids }, status: { in: RETRYABLE_STATUSES } },
+    select: { id: true, orderId: true, kind: true },
+  });
+  await prisma.orderExport.updateMany({
+    where: { id: { in: handled.map(e => e.id) }, status: { in: RETRYABLE_STATUSES } },
+    data: { status: "handled", nextAttemptAt: null },
+  });
+  for (const record of handled) {
+    if (record.kind === "sale") await mirrorExportTags(admin, record.orderId, "handled");
+  }
+  return handled.length;
+}
+
+/**
+ * Offline admin clients per shop for one pass of the worker; null when the
+ * shop has no offline session
+ */
+function offlineClients() {
+  const clients = new Map();
+  return async (shop) => {
+    if (!clients.has(shop)) {
+      try {
+        const { admin, session } = await unauthenticated.admin(shop);
+        clients.set(shop, { admin: withThrottling(admin, shop), session });
+      } catch (error) {
+        console.error(`❌ No offline session for ${shop}, cannot export its orders:`, error);
+        clients.set(shop, null);
+      }
+    }
+    return clients.get(shop);
+  };
+}
+
+/**
+ * Export orders one after another in the background of this process
+ * @param {Array<{ id: string, shop: string }>} records - OrderExport rows
+ */
+export function startOrderExportWorker(records) {
+  const queued = records.filter(record => !activeWorkers.has(record.id));
+  for (const record of queued) activeWorkers.add(record.id);
+
+  const clientFor = offlineClients();
+  (async () => {
+    for (const { id, shop } of queued) {
+      try {
+        const client = await clientFor(shop);
+        if (client) await runOrderExport(id, client);
+      } catch (error) {
+        console.error(`💥 Order export worker for ${id} crashed:`, error);
+      } finally {
+        activeWorkers.delete(id);
+      }
+    }
+  })();
+}
+
+/**
+ * Fail exports whose worker stopped while posting, without a retry
+ * @returns {Promise<Array<{ id: string, shop: string, orderId: string, kind: string }>>}
+ */
+async function failInterruptedExports() {
+  const now = new Date();
+  const interrupted = await prisma.orderExport.findMany({
+    where: { status: "processing", lockedUntil: { lt: now } },
+    select: { id: true, shop: true, orderId: true, kind: true },
+  });
+  if (!interrupted.length) return [];
+
+  await prisma.orderExport.updateMany({
+    where: { id: { in: interrupted.map(e => e.id) }, status: "processing", lockedUntil: { lt: now } },
+    data: { status: "failed", lastError: INTERRUPTED_ERROR, nextAttemptAt: null, lockedUntil: null },
+  });
+  console.log(`⚠️ ${interrupted.length} order export(s) were interrupted and need checking in FINA`);
+  return interrupted;
+}
+
+/**
+ * Worker pass: fail interrupted exports, then post pending and failed
+ * exports whose retry is due, until `deadline` (ms epoch) passes
+ * @param {{ deadline?: number }} [options]
+ * @returns {Promise<string[]>} ids of the exports attempted
+ */
+export async function processDueOrderExports({ deadline = Infinity } = {}) {
+  const clientFor = offlineClients();
+
+  for (const record of await failInterruptedExports()) {
+    const client = await clientFor(record.shop);
+    if (client && record.kind === "sale") await mirrorExportTags(client.admin, record.orderId, "failed");
+  }
+
+  const due = await prisma.orderExport.findMany({
+    where: { status: { in: ["pending", "failed"] }, nextAttemptAt: { lte: new Date() } },
+    orderBy: { nextAttemptAt: "asc" },
+    select: { id: true, shop: true },
+  });
+
+  const attempted = [];
+  for (const record of due) {
+    if (Date.now() >= deadline) break;
+    const client = await clientFor(record.shop);
+    if (!client) continue;
+    try {
+      if (await runOrderExport(record.id, client)) attempted.push(record.id);
+    } catch (error) {
+      console.error(`💥 Order export ${record.id} crashed:`, error);
+    }
+  }
+  return attempted;
+}
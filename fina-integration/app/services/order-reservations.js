@@ -0,0 +1,75 @@
+/**
+ * Order Reservations
+ * Stock held back for Shopify orders whose FINA document (saveDocProductOut)
+ * isn't in FINA yet: still queued, being exported, failed or held. FINA's rest
+ * doesn't include them, so writing it as is would give their stock back to
+ * Shopify. Exports whose post may have reached FINA (interrupted, timed out)
+ * are left out: FINA most likely has their document, and its rest already
+ * takes their stock.
+ *
+ * The orders and their lines come from the order export queue
+ * (order-exports.js). Orders are posted to the connection's default FINA
+ * store, so reservations are subtracted at the Shopify location that store
+ * is mapped to.
+ */
+
+import prisma from "../db.server";
+import { OPEN_STATUSES, UNCONFIRMED_POST_ERROR } from "./order-exports.js";
+
+/** Order numbers listed per reserved SKU */
+const ORDER_NAME_LIMIT = 10;
+
+/**
+ * @typedef {Object} Reservations
+ * @property {string} locationId - Shopify location the reserved stock is taken from
+ * @property {Record<string, { quantity: number, orders: string[] }>} byProduct - by FINA product id
+ */
+
+/**
+ * Quantities of unexported orders per FINA product
+ * @param {string} shop
+ * @param {Array<Object>} finaProducts - all FINA products, for SKU → product id
+ * @param {import("./location-mapping.js").StoreLocation[]} locations
+ * @param {{ defaultStoreId: number }} finaSettings
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} priceMapping - B2B SKU suffix
+ * @returns {Promise<Reservations|null>} null when the default store isn't synced
+ */
+export async function loadOrderReservations(shop, finaProducts, locations, finaSettings, priceMapping) {
+  const location = locations.find(l => l.finaStoreIds.includes(finaSettings.defaultStoreId));
+  if (!location) return null;
+
+  const idByCode = new Map(finaProducts.filter(p => p.code).map(p => [p.code, p.id]));
+  const suffix = priceMapping.variantSelector === "skuSuffix" ? priceMapping.b2bValue : null;
+  const productIdFor = (sku) => {
+    if (idByCode.has(sku)) return idByCode.get(sku);
+    if (suffix && sku.endsWith(suffix)) return idByCode.get(sku.slice(0, -suffix.length));
+    return undefined;
+  };
+
+  const byProduct = {};
+  const orders = await prisma.orderExport.findMany({
+    where: {
+      shop,
+      kind: "sale",
+      status: { in: OPEN_STATUSES },
+      NOT: { status: "failed", lastError: { startsWith: UNCONFIRMED_POST_ERROR } },
+    },
+    select: { orderId: true, orderName: true, payload: true },
+  });
+  for (const order of orders) {
+    const name = order.orderName ?? order.orderId;
+    for (const line of order.payload.line_items || []) {
+      const productId = line.sku ? productIdFor(line.sku) : undefined;
+      const quantity = line.current_quantity ?? line.quantity;
+      if (productId === undefined || !quantity) continue;
+      const reservation = (byProduct[productId] ??= { quantity: 0, orders: [] });
+      reservation.quantity += quantity;
+      if (!reservation.orders.includes(name) && reservation.orders.length < ORDER_NAME_LIMIT) {
+        reservation.orders.push(name);
+      }
+    }
+  }
+
+  console.log(`📌 ${orders.length} order(s) not yet in FINA reserve stock of ${Object.keys(byProduct).length} product(s)`);
+  return { locationId: location.locationId, byProduct };
+}
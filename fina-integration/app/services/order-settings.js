@@ -0,0 +1,67 @@
+/**
+ * Order Settings
+ * How order exports (order-exports.js) treat line items whose SKU isn't a
+ * FINA product code, or that have no SKU:
+ *
+ * - fail: the export fails, and is retried in case the product is added to FINA
+ * - placeholder: the line is posted as a configured FINA product or service,
+ *   so the document keeps the order's total
+ * - hold: the export waits on the Orders page until its lines are mapped
+ *
+ * Whatever the policy, the lines are kept on the export and noted on the order.
+ */
+
+import prisma from "../db.server";
+
+export const UNMAPPED_LINE_POLICIES = ["fail", "placeholder", "hold"];
+export const PLACEHOLDER_TYPES = ["product", "service"];
+
+export const DEFAULT_ORDER_SETTINGS = {
+  unmappedLinePolicy: "fail",
+  placeholderType: "product",
+  placeholderId: null,
+};
+
+/**
+ * @param {string} shop
+ * @returns {Promise<{ unmappedLinePolicy: string, placeholderType: string, placeholderId: number|null }>}
+ */
+export async function getOrderSettings(shop) {
+  const saved = await prisma.orderSettings.findUnique({ where: { shop } });
+  return {
+    unmappedLinePolicy: saved?.unmappedLinePolicy ?? DEFAULT_ORDER_SETTINGS.unmappedLinePolicy,
+    placeholderType: saved?.placeholderType ?? DEFAULT_ORDER_SETTINGS.placeholderType,
+    placeholderId: saved?.placeholderId ?? DEFAULT_ORDER_SETTINGS.placeholderId,
+  };
+}
+
+/**
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function saveOrderSettings(shop, input) {
+  if (!UNMAPPED_LINE_POLICIES.includes(input.unmappedLinePolicy)) {
+    throw new Error(`Unknown policy "${input.unmappedLinePolicy}"`);
+  }
+  if (!PLACEHOLDER_TYPES.includes(input.placeholderType)) {
+    throw new Error(`Unknown placeholder type "${input.placeholderType}"`);
+  }
+  const placeholderId = String(input.placeholderId ?? "").trim() === "" ? null : Number(input.placeholderId);
+  if (placeholderId !== null && (!Number.isInteger(placeholderId) || placeholderId <= 0)) {
+    throw new Error("Placeholder must be a FINA product or service id");
+  }
+  if (input.unmappedLinePolicy === "placeholder" && placeholderId === null) {
+    throw new Error(`Enter the FINA ${input.placeholderType} id to post unmapped lines as`);
+  }
+
+  const data = {
+    unmappedLinePolicy: input.unmappedLinePolicy,
+    placeholderType: input.placeholderType,
+    placeholderId,
+  };
+  return prisma.orderSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
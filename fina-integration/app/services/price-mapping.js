@@ -0,0 +1,207 @@
+/**
+ * Price Mapping Service
+ * Which FINA price types feed a shop's variants, and which variant of a SKU
+ * is the retail one and which the B2B one.
+ *
+ * Variant selectors:
+ * - position: first variant is retail, second is B2B (the original behaviour)
+ * - option: value of the option named selectorKey
+ * - metafield: value of the variant metafield selectorKey ("namespace.key")
+ * - skuSuffix: retail SKU is the FINA code, B2B SKU is the code + b2bValue
+ * - priceList: no B2B variant; every variant is retail and its B2B price goes
+ *   to the price list of the B2B catalog b2bCatalogId (b2b-catalog.js)
+ *
+ * Retail and compare-at prices can get tax added (FINA keeps net prices) and
+ * a rounding rule before a sync compares them with Shopify; B2B prices are
+ * written as they are in FINA.
+ */
+
+import prisma from "../db.server";
+import { getFinaSettings } from "./fina-connection.js";
+
+export const VARIANT_SELECTORS = ["position", "option", "metafield", "skuSuffix", "priceList"];
+export const PRICE_ROUNDINGS = ["none", "0.05", "0.10", "whole", "99"];
+
+/**
+ * @typedef {Object} ResolvedPriceMapping
+ * @property {number} priceTypeId
+ * @property {number|null} compareAtPriceTypeId
+ * @property {number} b2bPriceTypeId
+ * @property {"position"|"option"|"metafield"|"skuSuffix"|"priceList"} variantSelector
+ * @property {string|null} selectorKey
+ * @property {string|null} retailValue
+ * @property {string|null} b2bValue
+ * @property {string|null} b2bCatalogId
+ * @property {number|null} retailTaxPercent
+ * @property {"none"|"0.05"|"0.10"|"whole"|"99"} priceRounding
+ */
+
+/**
+ * Saved mapping, as entered in settings (null when the shop has none)
+ * @param {string} shop
+ */
+export async function getSavedPriceMapping(shop) {
+  return prisma.priceMapping.findUnique({ where: { shop } });
+}
+
+/**
+ * Mapping a sync uses: unset price types fall back to the connection's
+ * @param {string} shop
+ * @returns {Promise<ResolvedPriceMapping>}
+ */
+export async function getPriceMapping(shop) {
+  const finaSettings = await getFinaSettings(shop);
+  const saved = await getSavedPriceMapping(shop);
+
+  return {
+    priceTypeId: saved?.priceTypeId ?? finaSettings.b2cPriceTypeId,
+    compareAtPriceTypeId: saved?.compareAtPriceTypeId ?? null,
+    b2bPriceTypeId: saved?.b2bPriceTypeId ?? finaSettings.b2bPriceTypeId,
+    variantSelector: saved?.variantSelector ?? "position",
+    selectorKey: saved?.selectorKey ?? null,
+    retailValue: saved?.retailValue ?? null,
+    b2bValue: saved?.b2bValue ?? null,
+    b2bCatalogId: saved?.b2bCatalogId ?? null,
+    retailTaxPercent: saved?.retailTaxPercent ?? null,
+    priceRounding: saved?.priceRounding ?? "none",
+  };
+}
+
+/**
+ * FINA retail (or compare-at) price as the shop shows it: tax added, then rounded
+ * @param {number|string} value - FINA price
+ * @param {ResolvedPriceMapping} mapping
+ * @returns {number}
+ */
+export function toRetailPrice(value, mapping) {
+  const gross = Number(value) * (1 + (mapping.retailTaxPercent ?? 0) / 100);
+  const cents = Math.round(gross * 100) / 100;
+  if (cents <= 0) return 0;
+
+  switch (mapping.priceRounding) {
+    case "0.05": return Math.round(cents * 20) / 20;
+    case "0.10": return Math.round(cents * 10) / 10;
+    case "whole": return Math.max(1, Math.round(cents));
+    // Whole prices drop to the .99 below, others go up to the next .99
+    // (12.00 → 11.99, 12.01 → 12.99, 12.99 → 12.99)
+    case "99": return Math.max(0.99, Math.round((Math.ceil(cents) - 0.01) * 100) / 100);
+    default: return cents;
+  }
+}
+
+/**
+ * "namespace.key" → { namespace, key }
+ * @param {string} selectorKey
+ */
+export function parseMetafieldKey(selectorKey) {
+  const dot = selectorKey.lastIndexOf(".");
+  return { namespace: selectorKey.slice(0, dot), key: selectorKey.slice(dot + 1) };
+}
+
+/**
+ * Role of a Shopify variant for the FINA product with `code`
+ * @param {{ sku: string, selectedOptions?: Array<{ name: string, value: string }>, selectorMetafield?: { value: string }|null }} variant
+ * @param {number} index - Position among the variants found for the SKU
+ * @param {string} code - FINA product code
+ * @param {ResolvedPriceMapping} mapping
+ * @returns {"retail"|"b2b"|null} null = not managed by the sync
+ */
+export function classifyVariant(variant, index, code, mapping) {
+  const byValue = (value) => {
+    if (value == null) return null;
+    if (value === mapping.retailValue) return "retail";
+    if (value === mapping.b2bValue) return "b2b";
+    return null;
+  };
+
+  switch (mapping.variantSelector) {
+    case "option":
+      return byValue(variant.selectedOptions?.find(option => option.name === mapping.selectorKey)?.value);
+    case "metafield":
+      return byValue(variant.selectorMetafield?.value);
+    case "skuSuffix":
+      if (variant.sku === code) return "retail";
+      if (variant.sku === `${code}${mapping.b2bValue}`) return "b2b";
+      return null;
+    case "priceList":
+      return "retail";
+    default:
+      if (index === 0) return "retail";
+      if (index === 1) return "b2b";
+      return null;
+  }
+}
+
+function parseOptionalPriceType(value, label) {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`${label} must be a positive whole number`);
+  }
+  return number;
+}
+
+/**
+ * Validate and save the settings form
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function savePriceMapping(shop, input) {
+  const variantSelector = input.variantSelector || "position";
+  if (!VARIANT_SELECTORS.includes(variantSelector)) {
+    throw new Error(`Unknown variant selector "${variantSelector}"`);
+  }
+
+  const selectorKey = (input.selectorKey || "").trim() || null;
+  const retailValue = (input.retailValue || "").trim() || null;
+  const b2bValue = (input.b2bValue || "").trim() || null;
+
+  if (variantSelector === "option" || variantSelector === "metafield") {
+    if (!selectorKey) {
+      throw new Error(variantSelector === "option" ? "Option name is required" : "Metafield is required");
+    }
+    if (variantSelector === "metafield" && !/^[^.]+(\.[^.]+)+$/.test(selectorKey)) {
+      throw new Error('Metafield must be written as "namespace.key"');
+    }
+    if (!retailValue && !b2bValue) {
+      throw new Error("Enter the value of the retail variant, the B2B variant, or both");
+    }
+    if (retailValue && retailValue === b2bValue) {
+      throw new Error("Retail and B2B variants need different values");
+    }
+  }
+  if (variantSelector === "skuSuffix" && !b2bValue) {
+    throw new Error("SKU suffix of the B2B variant is required");
+  }
+  if (variantSelector === "priceList" && !(await getSavedPriceMapping(shop))?.b2bCatalogId) {
+    throw new Error("Choose the B2B catalog on the B2B catalog page first");
+  }
+
+  const priceRounding = input.priceRounding || "none";
+  if (!PRICE_ROUNDINGS.includes(priceRounding)) throw new Error(`Unknown price rounding "${priceRounding}"`);
+  let retailTaxPercent = null;
+  if (input.retailTaxPercent !== undefined && String(input.retailTaxPercent).trim() !== "") {
+    retailTaxPercent = Number(String(input.retailTaxPercent).replace(",", "."));
+    if (!Number.isFinite(retailTaxPercent) || retailTaxPercent < 0 || retailTaxPercent > 100) {
+      throw new Error("Tax must be a percentage between 0 and 100");
+    }
+  }
+
+  const data = {
+    priceTypeId: parseOptionalPriceType(input.priceTypeId, "Price type"),
+    compareAtPriceTypeId: parseOptionalPriceType(input.compareAtPriceTypeId, "Compare-at price type"),
+    b2bPriceTypeId: parseOptionalPriceType(input.b2bPriceTypeId, "B2B price type"),
+    variantSelector,
+    selectorKey: variantSelector === "option" || variantSelector === "metafield" ? selectorKey : null,
+    retailValue: variantSelector === "option" || variantSelector === "metafield" ? retailValue : null,
+    b2bValue: variantSelector === "position" || variantSelector === "priceList" ? null : b2bValue,
+    retailTaxPercent,
+    priceRounding,
+  };
+
+  return prisma.priceMapping.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
@@ -0,0 +1,279 @@
+/**
+ * Product Attributes Service
+ * FINA product fields (and add_fields usr_column_*) a sync writes to Shopify
+ * product attributes, configured per shop as FieldMapping rows.
+ *
+ * Policies per field:
+ * - fina: FINA's value overwrites Shopify's
+ * - fill_empty: written only while the Shopify attribute is empty
+ * - shopify: never written (keeps the mapping but leaves Shopify's value)
+ *
+ * An empty FINA value never clears a Shopify attribute. Tags are added, not
+ * replaced; with a tag prefix, older tags carrying the prefix are removed.
+ */
+
+import prisma from "../db.server";
+import { parseMetafieldKey } from "./price-mapping.js";
+import { runMutation } from "./shopify-admin.js";
+import { ARCHIVED_TAG } from "./visibility.js";
+
+export const FINA_FIELDS = ["name", "barcode", "unit", "group"];
+export const ATTRIBUTE_TARGETS = ["title", "barcode", "productType", "vendor", "tags", "metafield"];
+export const ATTRIBUTE_POLICIES = ["fina", "fill_empty", "shopify"];
+/** Targets that live on the variant, everything else is per product */
+const VARIANT_TARGETS = ["barcode"];
+const ADD_FIELD_PATTERN = /^usr_column_\d+$/;
+
+/**
+ * @typedef {Object} AttributeChange
+ * @property {string} target
+ * @property {string|null} option - metafield "namespace.key", tag prefix, or publication id
+ * @property {string} [label] - publication name
+ * @property {string|string[]|null} from
+ * @property {string} to
+ */
+
+/**
+ * @param {string} shop
+ */
+export async function getFieldMappings(shop) {
+  return prisma.fieldMapping.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, source: true, target: true, option: true, policy: true },
+  });
+}
+
+/**
+ * Replace the shop's field mapping from the settings form
+ * @param {string} shop
+ * @param {Array<{ source: string, target: string, option?: string, policy: string }>} rows
+ */
+export async function saveFieldMappings(shop, rows) {
+  const data = [];
+  const targets = new Set();
+
+  for (const row of rows) {
+    const source = (row.source || "").trim();
+    const option = (row.option || "").trim() || null;
+    if (!FINA_FIELDS.includes(source) && !ADD_FIELD_PATTERN.test(source)) {
+      throw new Error(`"${source}" is not a FINA product field (use ${FINA_FIELDS.join(", ")} or usr_column_<n>)`);
+    }
+    if (!ATTRIBUTE_TARGETS.includes(row.target)) throw new Error(`Unknown Shopify field "${row.target}"`);
+    if (!ATTRIBUTE_POLICIES.includes(row.policy)) throw new Error(`Unknown policy "${row.policy}"`);
+    if (row.target === "metafield" && !/^[^.\s]+\.[^.\s]+$/.test(option || "")) {
+      throw new Error(`Metafield for ${source} must be "namespace.key"`);
+    }
+
+    // Tags take several sources; every other target (and metafield key) only one
+    const targetKey = row.target === "metafield" ? `metafield:${option}` : row.target;
+    if (row.target !== "tags" && targets.has(targetKey)) {
+      throw new Error(`${row.target === "metafield" ? option : row.target} is mapped more than once`);
+    }
+    targets.add(targetKey);
+
+    data.push({
+      shop,
+      source,
+      target: row.target,
+      option: row.target === "metafield" || row.target === "tags" ? option : null,
+      policy: row.policy,
+    });
+  }
+
+  await prisma.$transaction([
+    prisma.fieldMapping.deleteMany({ where: { shop } }),
+    prisma.fieldMapping.createMany({ data }),
+  ]);
+  return data.length;
+}
+
+/**
+ * Extra product fields for the variant export (see variant-index.js)
+ * @param {Array<Object>} mappings
+ */
+export function attributeSelection(mappings) {
+  const metafields = mappings
+    .map((mapping, i) => {
+      if (mapping.target !== "metafield") return null;
+      const { namespace, key } = parseMetafieldKey(mapping.option);
+      return `field${i}: metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { value }`;
+    })
+    .filter(Boolean);
+  return ["productType", "vendor", "tags", ...metafields].join("\n");
+}
+
+const normalize = (value) => {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text === "" ? null : text;
+};
+
+/**
+ * Value of a FINA product field; objects (e.g. a group) give their name
+ * @param {Object} product - FINA product
+ * @param {string} source
+ */
+export function readFinaField(product, source) {
+  if (ADD_FIELD_PATTERN.test(source)) {
+    return normalize(product.add_fields?.find(field => field.field === source)?.value);
+  }
+  const value = product[source];
+  if (value && typeof value === "object") return normalize(value.name ?? value.id);
+  return normalize(value);
+}
+
+function readShopifyValue(variant, mapping, index) {
+  switch (mapping.target) {
+    case "title": return normalize(variant.product.title);
+    case "productType": return normalize(variant.product.productType);
+    case "vendor": return normalize(variant.product.vendor);
+    case "barcode": return normalize(variant.barcode);
+    case "metafield": return normalize(variant.product[`field${index}`]?.value);
+    default: return null;
+  }
+}
+
+/**
+ * Attribute changes FINA asks for on one variant (scope "variant") or on its
+ * product (scope "product")
+ * @param {Object} finaProduct
+ * @param {Object} variant - variant from the index, with its product
+ * @param {Array<Object>} mappings
+ * @param {"variant"|"product"} scope
+ * @returns {AttributeChange[]}
+ */
+export function planAttributeChanges(finaProduct, variant, mappings, scope) {
+  const changes = [];
+  mappings.forEach((mapping, index) => {
+    if (mapping.policy === "shopify") return;
+    if (VARIANT_TARGETS.includes(mapping.target) !== (scope === "variant")) return;
+    const value = readFinaField(finaProduct, mapping.source);
+    if (value === null) return;
+
+    if (mapping.target === "tags") {
+      const tags = variant.product.tags || [];
+      const tag = `${mapping.option ?? ""}${value}`;
+      const stale = mapping.option ? tags.filter(t => t.startsWith(mapping.option) && t !== tag) : [];
+      const present = mapping.option ? tags.some(t => t.startsWith(mapping.option)) : tags.length > 0;
+      if (mapping.policy === "fill_empty" && present) return;
+      if (tags.includes(tag) && stale.length === 0) return;
+      changes.push({ target: "tags", option: mapping.option, from: stale, to: tag });
+      return;
+    }
+
+    const current = readShopifyValue(variant, mapping, index);
+    if (mapping.policy === "fill_empty" && current !== null) return;
+    if (current === value) return;
+    changes.push({ target: mapping.target, option: mapping.option, from: current, to: value });
+  });
+  return changes;
+}
+
+/** Variant input fields (productVariantsBulkUpdate) for variant-scope changes */
+export function variantAttributeInput(changes) {
+  const input = {};
+  for (const change of changes) {
+    if (change.target === "barcode") input.barcode = change.to;
+  }
+  return input;
+}
+
+export function isVariantChange(change) {
+  return VARIANT_TARGETS.includes(change.target);
+}
+
+/**
+ * Write product-scope changes, including the publication and status changes
+ * planned by visibility.js
+ * @param {Object} admin
+ * @param {string} productId
+ * @param {AttributeChange[]} changes
+ */
+export async function applyProductAttributes(admin, productId, changes) {
+  const product = {};
+  const metafields = [];
+  const tagsAdd = [];
+  const tagsRemove = [];
+  const publish = [];
+  const unpublish = [];
+  for (const change of changes) {
+    if (change.target === "title" || change.target === "productType" || change.target === "vendor") {
+      product[change.target] = change.to;
+    } else if (change.target === "metafield") {
+      const { namespace, key } = parseMetafieldKey(change.option);
+      metafields.push({ ownerId: productId, namespace, key, type: "single_line_text_field", value: change.to });
+    } else if (change.target === "tags") {
+      tagsAdd.push(change.to);
+      tagsRemove.push(...(change.from || []));
+    } else if (change.target === "status") {
+      // Archiving is FINA's (see visibility.js): tag it so only these get reactivated
+      product.status = change.to;
+      (change.to === "ARCHIVED" ? tagsAdd : tagsRemove).push(ARCHIVED_TAG);
+    } else if (change.target === "publication") {
+      (change.to === "published" ? publish : unpublish).push({ publicationId: change.option });
+    }
+  }
+
+  if (publish.length) {
+    await runMutation(admin, `
+      mutation publishablePublish($id: ID!, $input: [PublicationInput!]!) {
+        publishablePublish(id: $id, input: $input) {
+          publishable { ... on Product { id } }
+          userErrors { field message }
+        }
+      }
+    `, { id: productId, input: publish }, "publishablePublish");
+  }
+  if (unpublish.length) {
+    await runMutation(admin, `
+      mutation publishableUnpublish($id: ID!, $input: [PublicationInput!]!) {
+        publishableUnpublish(id: $id, input: $input) {
+          publishable { ... on Product { id } }
+          userErrors { field message }
+        }
+      }
+    `, { id: productId, input: unpublish }, "publishableUnpublish");
+  }
+
+  if (Object.keys(product).length) {
+    await runMutation(admin, `
+      mutation productUpdate($product: ProductUpdateInput!) {
+        productUpdate(product: $product) {
+          product { id }
+          userErrors { field message }
+        }
+      }
+    `, { product: { id: productId, ...product } }, "productUpdate");
+  }
+  if (metafields.length) {
+    await runMutation(admin, `
+      mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+        metafieldsSet(metafields: $metafields) {
+          metafields { id }
+          userErrors { field message }
+        }
+      }
+    `, { metafields }, "metafieldsSet");
+  }
+  if (tagsRemove.length) {
+    await runMutation(admin, `
+      mutation tagsRemove($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          node { id }
+          userErrors { field message }
+        }
+      }
+    `, { id: productId, tags: tagsRemove }, "tagsRemove");
+  }
+  if (tagsAdd.length) {
+    await runMutation(admin, `
+      mutation tagsAdd($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          node { id }
+          userErrors { field message }
+        }
+      }
+    `, { id: productId, tags: tagsAdd }, "tagsAdd");
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Throttled Admin GraphQL
+ * Wraps an Admin API client so every call respects the shop's query cost
+ * budget (leaky bucket, see extensions.cost.throttleStatus).
+ *
+ * - Waits before sending when the bucket can't cover the expected cost
+ * - Tracks the bucket from every response, shared by all clients of a shop
+ * - Retries THROTTLED errors and HTTP 429 with backoff
+ *
+ * The wrapper keeps admin.graphql's interface, so callers don't change.
+ */
+
+const MAX_RETRIES = 5;
+const BASE_BACKOFF_MS = 1000;
+/** Expected cost of a query we haven't seen a response for yet */
+const DEFAULT_COST = 50;
+
+/** Leaky bucket per shop: { maximumAvailable, currentlyAvailable, restoreRate, at } */
+const buckets = new Map();
+/** Last requested cost per query text */
+const queryCosts = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function getBucket(shop) {
+  if (!buckets.has(shop)) {
+    // Conservative until the first response reports the real limits
+    buckets.set(shop, { maximumAvailable: 1000, currentlyAvailable: 1000, restoreRate: 50, at: Date.now() });
+  }
+  return buckets.get(shop);
+}
+
+/** Points available now, including what has restored since the last update */
+function available(bucket, now) {
+  const restored = ((now - bucket.at) / 1000) * bucket.restoreRate;
+  return Math.min(bucket.maximumAvailable, bucket.currentlyAvailable + restored);
+}
+
+/** Wait until `cost` points are available, then take them */
+async function reserve(shop, cost) {
+  const bucket = getBucket(shop);
+  const needed = Math.min(cost, bucket.maximumAvailable);
+  while (true) {
+    const now = Date.now();
+    const points = available(bucket, now);
+    if (points >= needed) {
+      bucket.currentlyAvailable = points - needed;
+      bucket.at = now;
+      return;
+    }
+    await sleep(Math.ceil(((needed - points) / bucket.restoreRate) * 1000));
+  }
+}
+
+function recordCost(shop, query, cost) {
+  if (!cost) return;
+  if (cost.requestedQueryCost) queryCosts.set(query, cost.requestedQueryCost);
+
+  const status = cost.throttleStatus;
+  if (!status) return;
+  const bucket = getBucket(shop);
+  bucket.maximumAvailable = status.maximumAvailable;
+  bucket.currentlyAvailable = status.currentlyAvailable;
+  bucket.restoreRate = status.restoreRate;
+  bucket.at = Date.now();
+}
+
+/** GraphqlQueryError carries the response body; HTTP 429 surfaces as HttpThrottlingError */
+function throttleDetails(error) {
+  const graphQLErrors = error?.body?.errors?.graphQLErrors || [];
+  if (graphQLErrors.some(e => e.extensions?.code === "THROTTLED")) {
+    return { cost: error.body.extensions?.cost };
+  }
+  if (error?.response?.code === 429 || error?.name === "HttpThrottlingError") {
+    return { retryAfterMs: error.response?.retryAfter ? error.response.retryAfter * 1000 : undefined };
+  }
+  return null;
+}
+
+/**
+ * @param {Object} admin - Admin API client from authenticate.admin / unauthenticated.admin / authenticate.webhook
+ * @param {string} shop - Bucket key; every client of the same shop shares one budget
+ * @returns {Object} admin client whose graphql() is throttled
+ */
+export function withThrottling(admin, shop) {
+  if (!admin || admin.throttled) return admin;
+
+  async function graphql(query, options) {
+    for (let attempt = 0; ; attempt++) {
+      await reserve(shop, queryCosts.get(query) ?? DEFAULT_COST);
+      try {
+        const response = await admin.graphql(query, options);
+        const body = await response.clone().json();
+        recordCost(shop, query, body?.extensions?.cost);
+        return response;
+      } catch (error) {
+        const throttled = throttleDetails(error);
+        if (!throttled || attempt >= MAX_RETRIES) throw error;
+
+        recordCost(shop, query, throttled.cost);
+        const delay = throttled.retryAfterMs ?? BASE_BACKOFF_MS * 2 ** attempt;
+        console.warn(`⏳ Shopify throttled ${shop}, retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  return { ...admin, graphql, throttled: true };
+}
+
+/**
+ * Run a mutation and throw its top-level or user errors. The client throws
+ * top-level GraphQL errors as GraphqlQueryError; they are rethrown in the
+ * same shape as user errors.
+ * @param {Object} admin
+ * @param {string} mutation
+ * @param {Object} variables
+ * @param {string} field - Mutation field whose payload is returned
+ */
+export async function runMutation(admin, mutation, variables, field) {
+  let response;
+  try {
+    response = await admin.graphql(mutation, { variables });
+  } catch (error) {
+    const graphQLErrors = error?.body?.errors?.graphQLErrors || [];
+    if (!graphQLErrors.length) throw error;
+    throw new Error(graphQLErrors.map(e => e.message).join("; "), { cause: error });
+  }
+  const data = await response.json();
+  const userErrors = data?.data?.[field]?.userErrors || [];
+  if (userErrors.length) {
+    throw new Error(userErrors.map(e => e.message).join("; "));
+  }
+  return data.data[field];
+}
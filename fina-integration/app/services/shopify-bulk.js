@@ -0,0 +1,94 @@
+/**
+ * Shopify Bulk Operations
+ * Start a bulkOperationRunQuery, poll it, and stream its JSONL result.
+ *
+ * Shopify runs one bulk query per shop at a time, so a caller that can't
+ * start one gets a clear error instead of a silently partial export.
+ */
+
+import { Readable } from "stream";
+import { createInterface } from "readline";
+import { runMutation } from "./shopify-admin.js";
+
+const POLL_INTERVAL_MS = 3000;
+
+/**
+ * @typedef {Object} BulkOperation
+ * @property {string} id
+ * @property {"CREATED"|"RUNNING"|"COMPLETED"|"CANCELING"|"CANCELED"|"FAILED"|"EXPIRED"} status
+ * @property {string|null} errorCode
+ * @property {string|null} objectCount
+ * @property {string|null} url - JSONL result, null when the query matched nothing
+ */
+
+const BULK_OPERATION_FIELDS = "id status errorCode objectCount url";
+
+/**
+ * @param {Object} admin - Admin API client
+ * @param {string} query - Bulk query (no variables, top-level connection)
+ * @returns {Promise<BulkOperation>}
+ */
+export async function startBulkQuery(admin, query) {
+  try {
+    const result = await runMutation(admin, `
+      mutation bulkOperationRunQuery($query: String!) {
+        bulkOperationRunQuery(query: $query) {
+          bulkOperation { ${BULK_OPERATION_FIELDS} }
+          userErrors { field message }
+        }
+      }
+    `, { query }, "bulkOperationRunQuery");
+    return result.bulkOperation;
+  } catch (error) {
+    throw new Error(`Shopify bulk query could not start: ${error.message}`, { cause: error });
+  }
+}
+
+/**
+ * @param {Object} admin
+ * @param {string} id
+ * @returns {Promise<BulkOperation>}
+ */
+export async function getBulkOperation(admin, id) {
+  const response = await admin.graphql(`
+    query bulkOperation($id: ID!) {
+      node(id: $id) { ... on BulkOperation { ${BULK_OPERATION_FIELDS} } }
+    }
+  `, { variables: { id } });
+  const data = await response.json();
+
+  const operation = data?.data?.node;
+  if (!operation) throw new Error(`Bulk operation ${id} not found`);
+  return operation;
+}
+
+/**
+ * Poll until the operation finishes or `deadline` (ms epoch) passes
+ * @param {Object} admin
+ * @param {string} id
+ * @param {{ deadline: number }} options
+ * @returns {Promise<BulkOperation>} the last status seen
+ */
+export async function waitForBulkOperation(admin, id, { deadline }) {
+  while (true) {
+    const operation = await getBulkOperation(admin, id);
+    if (!["CREATED", "RUNNING", "CANCELING"].includes(operation.status)) return operation;
+    if (Date.now() + POLL_INTERVAL_MS >= deadline) return operation;
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+  }
+}
+
+/**
+ * Stream a bulk result line by line (results can be tens of MB)
+ * @param {string} url
+ * @param {(row: Object) => void} onRow
+ */
+export async function readBulkResult(url, onRow) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Bulk result download failed: HTTP ${response.status}`);
+
+  const lines = createInterface({ input: Readable.fromWeb(response.body), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (line.trim()) onRow(JSON.parse(line));
+  }
+}
@@ -0,0 +1,94 @@
+/**
+ * Sync Guards
+ * Safety thresholds checked once per run, after the SKU index is built and
+ * before anything is written to Shopify.
+ *
+ * They catch FINA answers that would damage the store: an empty or partial
+ * store_rest zeroes stock, a wrong price list reprices the catalog, a
+ * truncated product list silently skips half of it. The check previews the
+ * whole working set with processProductChunk's dry run (no Shopify calls).
+ */
+
+import { processProductChunk } from "./fina-sync.js";
+
+/** Below this many variants a zero-stock ratio says nothing (small incremental runs) */
+const MIN_VARIANTS_FOR_ZERO_RATIO = 20;
+/** Offending SKUs listed per tripped guard */
+const EXAMPLE_LIMIT = 5;
+
+/**
+ * @typedef {Object} GuardCheck
+ * @property {"products"|"zero"|"price"} guard
+ * @property {boolean} tripped
+ * @property {string} message
+ * @property {string[]} [examples]
+ */
+
+/**
+ * @typedef {Object} GuardReport
+ * @property {boolean} blocked - at least one guard tripped
+ * @property {boolean} confirmable - the run may be continued anyway (guardAction "confirm")
+ * @property {GuardCheck[]} checks
+ * @property {string} checkedAt
+ */
+
+const percent = (part, whole) => Math.round((part / whole) * 1000) / 10;
+
+/**
+ * @param {Object} snapshot - run snapshot with its variantIndex (see loadSyncSnapshot)
+ * @param {Object} syncSettings - SyncSettings row with the guard thresholds
+ * @returns {Promise<GuardReport>}
+ */
+export async function evaluateSyncGuards(snapshot, syncSettings) {
+  const { guardZeroPercent, guardPriceChangePercent, guardProductDropPercent, lastProductCount } = syncSettings;
+  const checks = [];
+
+  if (guardProductDropPercent != null && lastProductCount) {
+    const drop = percent(lastProductCount - snapshot.finaProductCount, lastProductCount);
+    checks.push({
+      guard: "products",
+      tripped: drop > guardProductDropPercent,
+      message: drop > 0
+        ? `FINA returned ${snapshot.finaProductCount} products, ${drop}% fewer than the ${lastProductCount} of the last clean sync`
+        : `FINA returned ${snapshot.finaProductCount} products (last clean sync: ${lastProductCount})`,
+    });
+  }
+
+  if ((guardZeroPercent != null || guardPriceChangePercent != null) && snapshot.products.length) {
+    const results = await processProductChunk(snapshot.products, snapshot, null, 0, 1, { dryRun: true });
+    const variantCount = results.reduce((sum, r) => sum + (r.variantCount || 0), 0);
+    const changes = results.flatMap(r => r.diffs || []).filter(d => d.status === "change");
+
+    if (guardZeroPercent != null) {
+      const zeroed = changes.filter(d => d.newQuantity === 0 && d.oldQuantity > 0);
+      const share = variantCount ? percent(zeroed.length, variantCount) : 0;
+      checks.push({
+        guard: "zero",
+        tripped: variantCount >= MIN_VARIANTS_FOR_ZERO_RATIO && share > guardZeroPercent,
+        message: `${zeroed.length} of ${variantCount} variants (${share}%) would go to zero stock`,
+        examples: zeroed.slice(0, EXAMPLE_LIMIT).map(d => `${d.sku}: ${d.oldQuantity} → 0`),
+      });
+    }
+
+    if (guardPriceChangePercent != null) {
+      const jumped = (from, to) => to != null && from > 0 && percent(Math.abs(to - from), from) > guardPriceChangePercent;
+      const jumps = changes.flatMap(d => [
+        ...(jumped(d.oldPrice, d.newPrice) ? [`${d.sku}: ${d.oldPrice} → ${d.newPrice}`] : []),
+        ...(jumped(d.oldB2bPrice, d.newB2bPrice) ? [`${d.sku} (B2B): ${d.oldB2bPrice} → ${d.newB2bPrice}`] : []),
+      ]);
+      checks.push({
+        guard: "price",
+        tripped: jumps.length > 0,
+        message: `${jumps.length} variant price(s) would change by more than ${guardPriceChangePercent}%`,
+        examples: jumps.slice(0, EXAMPLE_LIMIT),
+      });
+    }
+  }
+
+  return {
+    blocked: checks.some(check => check.tripped),
+    confirmable: syncSettings.guardAction !== "abort",
+    checks,
+    checkedAt: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,677 @@
+/**
+ * Sync Run Service
+ * Persisted sync jobs that a server-side worker advances in bounded steps.
+ *
+ * The first step captures the FINA working set on the run, the next ones
+ * build the Shopify SKU index from a bulk export; every later step processes
+ * STEP_SIZE products from the cursor and stores their results.
+ * A worker holds a lease while it advances a run, so a crashed or timed-out
+ * worker is simply taken over by the next one from the saved cursor.
+ *
+ * A dry run stores the changes it would make as SyncDiff rows instead of
+ * writing them; an "apply" run later walks those rows and executes them.
+ *
+ * Before the first write a run passes the shop's safety thresholds
+ * (sync-guards.js). A tripped guard leaves the run "blocked" until it is
+ * confirmed from the dashboard, and scheduled syncs wait for that
+ * (sync-scheduler.js). A shop that aborts instead gets an "aborted" run that
+ * can't be resumed, and its next scheduled sync checks the data again.
+ */
+
+import { randomUUID } from "crypto";
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getFinaClientForShop, getFinaSettings } from "./fina-connection.js";
+import { getSyncSettings, recordCleanSync } from "./sync-settings.js";
+import { applySyncDiffs, loadSyncSnapshot, processProductChunk } from "./fina-sync.js";
+import { resolveStoreLocations } from "./location-mapping.js";
+import { getPriceMapping } from "./price-mapping.js";
+import { collectVariantIndex, startVariantExport } from "./variant-index.js";
+import { withThrottling } from "./shopify-admin.js";
+import { getLinkedProducts, queueMissingProducts } from "./missing-products.js";
+import { getFieldMappings } from "./product-attributes.js";
+import { evaluateSyncGuards } from "./sync-guards.js";
+import { resolveVisibility } from "./visibility.js";
+import { loadB2BPriceList } from "./b2b-catalog.js";
+import { loadOrderReservations } from "./order-reservations.js";
+
+const STEP_SIZE = 250;
+const LEASE_MS = 5 * 60 * 1000;
+/** How long one step waits on the Shopify variant export before yielding */
+const INDEX_WAIT_MS = 25 * 1000;
+
+export const ACTIVE_STATUSES = ["pending", "running"];
+export const RESUMABLE_STATUSES = ["failed", "cancelled"];
+export const RESULT_STATUSES = ["updated", "no_change", "error", "not_found"];
+
+/** Columns sent to the dashboard (the snapshot can be several MB) */
+const RUN_SUMMARY = {
+  id: true,
+  shop: true,
+  mode: true,
+  status: true,
+  dryRun: true,
+  sourceRunId: true,
+  cursor: true,
+  totalProducts: true,
+  updated: true,
+  noChange: true,
+  errors: true,
+  notFound: true,
+  error: true,
+  guardReport: true,
+  confirmedAt: true,
+  startedAt: true,
+  finishedAt: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/** Runs this process is currently advancing */
+const activeWorkers = new Set();
+
+/**
+ * @param {string} shop
+ */
+export async function getLatestSyncRun(shop) {
+  return prisma.syncRun.findFirst({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    select: RUN_SUMMARY,
+  });
+}
+
+/**
+ * Most recent runs first
+ * @param {string} shop
+ * @param {{ take?: number }} [options]
+ */
+export async function listSyncRuns(shop, { take = 25 } = {}) {
+  return prisma.syncRun.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+    select: RUN_SUMMARY,
+  });
+}
+
+/**
+ * @param {string} shop
+ * @param {string} runId
+ */
+export async function getSyncRun(shop, runId) {
+  return prisma.syncRun.findFirst({
+    where: { id: runId, shop },
+    select: RUN_SUMMARY,
+  });
+}
+
+/**
+ * Queue a run unless the shop already has one in progress
+ * @param {string} shop
+ * @param {"full"|"incremental"} mode
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ run: Object, created: boolean }>}
+ */
+export async function startSyncRun(shop, mode, { dryRun = false } = {}) {
+  const active = await prisma.syncRun.findFirst({
+    where: { shop, status: { in: ACTIVE_STATUSES } },
+    select: RUN_SUMMARY,
+  });
+  if (active) return { run: active, created: false };
+
+  const run = await prisma.syncRun.create({
+    data: { shop, mode, dryRun },
+    select: RUN_SUMMARY,
+  });
+  console.log(`🆕 Sync run ${run.id} queued for ${shop} (${mode}${dryRun ? ", dry run" : ""})`);
+  return { run, created: true };
+}
+
+/**
+ * Queue a run that executes the diff of a completed dry run. Each dry run
+ * can be applied once (a failed or cancelled apply is resumed instead).
+ * @param {string} shop
+ * @param {string} dryRunId
+ * @returns {Promise<{ run: Object|null, created: boolean, error?: string }>}
+ */
+export async function startApplyRun(shop, dryRunId) {
+  const source = await prisma.syncRun.findFirst({
+    where: { id: dryRunId, shop, dryRun: true, status: "completed" },
+    select: { id: true },
+  });
+  if (!source) return { run: null, created: false, error: "Only a completed dry run can be applied" };
+
+  const existing = await prisma.syncRun.findFirst({
+    where: { shop, sourceRunId: dryRunId },
+    select: RUN_SUMMARY,
+  });
+  if (existing) return { run: existing, created: false, error: "This diff was already applied" };
+
+  const active = await prisma.syncRun.findFirst({
+    where: { shop, status: { in: ACTIVE_STATUSES } },
+    select: RUN_SUMMARY,
+  });
+  if (active) return { run: active, created: false, error: "A sync is already running" };
+
+  const run = await prisma.syncRun.create({
+    data: { shop, mode: "apply", sourceRunId: dryRunId },
+    select: RUN_SUMMARY,
+  });
+  console.log(`🆕 Apply run ${run.id} queued for ${shop} (diff of ${dryRunId})`);
+  return { run, created: true };
+}
+
+function syncResultsWhere(shop, runId, status, query) {
+  return {
+    runId,
+    run: { shop },
+    ...(RESULT_STATUSES.includes(status) ? { status } : {}),
+    ...(query ? { sku: { contains: query, mode: "insensitive" } } : {}),
+  };
+}
+
+/**
+ * One page of a run's per-SKU results, with counts per status for the filters
+ * @param {string} shop
+ * @param {string} runId
+ * @param {{ status?: string, query?: string, page?: number, pageSize?: number }} [options]
+ */
+export async function getSyncResults(shop, runId, { status = "all", query = "", page = 1, pageSize = 50 } = {}) {
+  const where = syncResultsWhere(shop, runId, status, query);
+
+  const [results, total, grouped] = await Promise.all([
+    prisma.syncResult.findMany({
+      where,
+      orderBy: { id: "asc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.syncResult.count({ where }),
+    prisma.syncResult.groupBy({
+      by: ["status"],
+      where: syncResultsWhere(shop, runId, "all", query),
+      _count: { _all: true },
+    }),
+  ]);
+
+  const counts = Object.fromEntries(RESULT_STATUSES.map(s => [s, 0]));
+  for (const group of grouped) counts[group.status] = group._count._all;
+  counts.all = Object.values(counts).reduce((sum, n) => sum + n, 0);
+
+  return { results, total, counts };
+}
+
+/**
+ * Every result of a run matching the filters, for the CSV export
+ * @param {string} shop
+ * @param {string} runId
+ * @param {{ status?: string, query?: string }} [options]
+ */
+export async function getAllSyncResults(shop, runId, { status = "all", query = "" } = {}) {
+  return prisma.syncResult.findMany({
+    where: syncResultsWhere(shop, runId, status, query),
+    orderBy: { id: "asc" },
+  });
+}
+
+/**
+ * The run that applied (or is applying) a dry run's diff, if any
+ * @param {string} shop
+ * @param {string} dryRunId
+ */
+export async function getApplyRun(shop, dryRunId) {
+  return prisma.syncRun.findFirst({
+    where: { shop, sourceRunId: dryRunId },
+    select: RUN_SUMMARY,
+  });
+}
+
+/**
+ * One page of a dry run's diff
+ * @param {string} shop
+ * @param {string} runId
+ * @param {{ filter?: "all"|"quantity"|"price"|"not_found", query?: string, page?: number, pageSize?: number }} [options]
+ */
+export async function getSyncDiffs(shop, runId, { filter = "all", query = "", page = 1, pageSize = 50 } = {}) {
+  const base = { runId, run: { shop } };
+  const filters = {
+    all: {},
+    quantity: { status: "change", newQuantity: { not: null } },
+    price: { status: "change", OR: [{ newPrice: { not: null } }, { newCompareAtPrice: { not: null } }, { clearCompareAtPrice: true }, { newB2bPrice: { not: null } }] },
+    not_found: { status: "not_found" },
+  };
+  const search = query ? { sku: { contains: query, mode: "insensitive" } } : {};
+  const where = { ...base, ...(filters[filter] || {}), ...search };
+
+  const [diffs, total, counts] = await Promise.all([
+    prisma.syncDiff.findMany({
+      where,
+      orderBy: { id: "asc" },
+      skip: (page - 1) * pageSize,
+      take: pageSize,
+    }),
+    prisma.syncDiff.count({ where }),
+    Promise.all(Object.entries(filters).map(async ([key, filterWhere]) => (
+      [key, await prisma.syncDiff.count({ where: { ...base, ...filterWhere, ...search } })]
+    ))),
+  ]);
+
+  return { diffs, total, counts: Object.fromEntries(counts) };
+}
+
+/**
+ * The step in flight finishes; the worker stops before claiming the next one.
+ * @param {string} shop
+ * @param {string} runId
+ */
+export async function cancelSyncRun(shop, runId) {
+  const { count } = await prisma.syncRun.updateMany({
+    where: { id: runId, shop, status: { in: ACTIVE_STATUSES } },
+    data: { status: "cancelled", finishedAt: new Date(), lockedUntil: null, lockedBy: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Continue a failed or cancelled run from its cursor
+ * @param {string} shop
+ * @param {string} runId
+ */
+export async function resumeSyncRun(shop, runId) {
+  const active = await prisma.syncRun.count({ where: { shop, status: { in: ACTIVE_STATUSES } } });
+  if (active) return false;
+
+  const { count } = await prisma.syncRun.updateMany({
+    where: { id: runId, shop, status: { in: RESUMABLE_STATUSES } },
+    data: { status: "pending", error: null, finishedAt: null },
+  });
+  return count === 1;
+}
+
+/**
+ * Continue a blocked run past its safety thresholds
+ * @param {string} shop
+ * @param {string} runId
+ */
+export async function confirmSyncRun(shop, runId) {
+  const run = await prisma.syncRun.findFirst({
+    where: { id: runId, shop, status: "blocked" },
+    select: { guardReport: true },
+  });
+  if (!run?.guardReport?.confirmable) return false;
+
+  const active = await prisma.syncRun.count({ where: { shop, status: { in: ACTIVE_STATUSES } } });
+  if (active) return false;
+
+  const { count } = await prisma.syncRun.updateMany({
+    where: { id: runId, shop, status: "blocked" },
+    data: { status: "pending", confirmedAt: new Date(), error: null, finishedAt: null },
+  });
+  if (count) console.log(`⚠️ Sync run ${runId} confirmed past its safety thresholds`);
+  return count === 1;
+}
+
+/**
+ * Take (or renew) the lease on a run. Succeeds when nobody holds it, the
+ * holder's lease expired, or the caller already holds it.
+ */
+async function claimRun(runId, workerId) {
+  const now = new Date();
+  const { count } = await prisma.syncRun.updateMany({
+    where: {
+      id: runId,
+      status: { in: ACTIVE_STATUSES },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: now } }, { lockedBy: workerId }],
+    },
+    data: {
+      status: "running",
+      lockedBy: workerId,
+      lockedUntil: new Date(now.getTime() + LEASE_MS),
+    },
+  });
+  return count === 1;
+}
+
+async function releaseRun(runId, workerId) {
+  await prisma.syncRun.updateMany({
+    where: { id: runId, lockedBy: workerId },
+    data: { lockedUntil: null, lockedBy: null },
+  });
+}
+
+/**
+ * First step of an apply run: count the changes it will execute
+ */
+async function prepareApplyRun(run) {
+  const totalProducts = await prisma.syncDiff.count({
+    where: { runId: run.sourceRunId, status: "change" },
+  });
+  await prisma.syncRun.update({
+    where: { id: run.id },
+    data: { snapshot: { sourceRunId: run.sourceRunId }, totalProducts, startedAt: new Date() },
+  });
+  console.log(`📋 Apply run ${run.id} prepared: ${totalProducts} previewed changes`);
+}
+
+/**
+ * First step: fetch FINA once and store the working set on the run. The
+ * location, price and field mappings, visibility rules, the B2B price list's
+ * fixed prices, stock reserved by orders not yet in FINA, linked products and
+ * the missing products setting are captured too, so editing them mid-run has
+ * no effect.
+ */
+async function prepareRun(run, admin) {
+  const fina = await getFinaClientForShop(run.shop);
+  const finaSettings = await getFinaSettings(run.shop);
+  const syncSettings = await getSyncSettings(run.shop);
+  const locations = await resolveStoreLocations(run.shop, admin, finaSettings);
+  const priceMapping = await getPriceMapping(run.shop);
+
+  const linkedProducts = await getLinkedProducts(run.shop);
+  const fieldMappings = await getFieldMappings(run.shop);
+  const visibility = await resolveVisibility(run.shop, admin);
+  let b2bPriceList = null;
+  if (priceMapping.variantSelector === "priceList") {
+    b2bPriceList = await loadB2BPriceList(admin, priceMapping.b2bCatalogId);
+    if (!b2bPriceList) throw new Error("The B2B catalog for B2B prices has no price list anymore, choose it again on the B2B catalog page");
+  }
+
+  const startedAt = new Date();
+  const snapshot = {
+    ...(await loadSyncSnapshot(fina, priceMapping, run.mode, syncSettings, locations, {
+      loadReservations: (products) => loadOrderReservations(run.shop, products, locations, finaSettings, priceMapping),
+    })),
+    linkedProducts,
+    fieldMappings,
+    visibility,
+    b2bPriceList,
+    createMissingProducts: syncSettings.createMissingProducts,
+  };
+
+  await prisma.syncRun.update({
+    where: { id: run.id },
+    data: {
+      snapshot,
+      mode: snapshot.mode,
+      totalProducts: snapshot.products.length,
+      startedAt,
+    },
+  });
+  console.log(`📋 Sync run ${run.id} prepared: ${snapshot.products.length} products (${snapshot.mode})`);
+}
+
+/**
+ * Build the run's SKU → variants index: start the bulk export, then wait for
+ * it across as many steps as it takes. A failed export is restarted when the
+ * run is resumed.
+ */
+async function indexStep(run, admin) {
+  const { snapshot } = run;
+  if (snapshot.products.length === 0) {
+    // Nothing changed in FINA: skip the catalog export
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: { snapshot: { ...snapshot, variantIndex: {} } },
+    });
+    return;
+  }
+  if (!snapshot.variantExportId) {
+    const variantExportId = await startVariantExport(admin, snapshot.priceMapping, snapshot.fieldMappings, snapshot.visibility);
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: { snapshot: { ...snapshot, variantExportId } },
+    });
+    return;
+  }
+
+  let variantIndex;
+  try {
+    variantIndex = await collectVariantIndex(admin, snapshot.variantExportId, {
+      codes: snapshot.products.map(p => p.code).filter(Boolean),
+      locations: snapshot.locations,
+      priceMapping: snapshot.priceMapping,
+      linkedProducts: snapshot.linkedProducts,
+      deadline: Date.now() + INDEX_WAIT_MS,
+    });
+  } catch (error) {
+    await prisma.syncRun.update({
+      where: { id: run.id },
+      data: { snapshot: { ...snapshot, variantExportId: null } },
+    });
+    throw error;
+  }
+  if (!variantIndex) return;
+
+  await prisma.syncRun.update({
+    where: { id: run.id },
+    data: { snapshot: { ...snapshot, variantIndex } },
+  });
+}
+
+/**
+ * Check the safety thresholds once the index is built. A dry run only records
+ * the report, a real run with a tripped guard stops as "blocked", or as
+ * "aborted" without its snapshot when the shop doesn't confirm.
+ * @returns {Promise<boolean>} true when the run may continue
+ */
+async function guardStep(run) {
+  const syncSettings = await getSyncSettings(run.shop);
+  const guardReport = await evaluateSyncGuards(run.snapshot, syncSettings);
+
+  if (!guardReport.blocked || run.dryRun) {
+    await prisma.syncRun.update({ where: { id: run.id }, data: { guardReport } });
+    return true;
+  }
+
+  const reasons = guardReport.checks.filter(check => check.tripped).map(check => check.message);
+  const aborted = !guardReport.confirmable;
+  console.warn(`🛑 Sync run ${run.id} ${aborted ? "aborted" : "blocked"} by safety thresholds: ${reasons.join("; ")}`);
+  await prisma.syncRun.updateMany({
+    where: { id: run.id, status: "running" },
+    data: {
+      status: aborted ? "aborted" : "blocked",
+      guardReport,
+      // Only a blocked run is continued from its snapshot
+      ...(aborted && { snapshot: Prisma.DbNull }),
+      error: `${aborted ? "Aborted" : "Blocked"}: ${reasons.join("; ")}`,
+      finishedAt: new Date(),
+      lockedUntil: null,
+      lockedBy: null,
+    },
+  });
+  return false;
+}
+
+function toResultRow(runId, result) {
+  const asNumber = (value) => (Number.isFinite(Number(value)) ? Number(value) : null);
+  return {
+    runId,
+    sku: result.sku ?? "",
+    status: result.status ?? "error",
+    finaQuantity: asNumber(result.finaQuantity),
+    finaB2cPrice: asNumber(result.finaB2cPrice),
+    finaB2bPrice: asNumber(result.finaB2bPrice),
+    reservedQuantity: result.reservedQuantity || null,
+    shopifyQuantity: result.shopifyQuantity === undefined ? null : String(result.shopifyQuantity),
+    shopifyPrice: result.shopifyPrice === undefined ? null : String(result.shopifyPrice),
+    message: result.message ?? result.error ?? null,
+  };
+}
+
+/**
+ * Persist a step's results (and a dry run's diffs) together with the cursor
+ */
+async function recordStep(run, processed, results, diffs = []) {
+  const count = (status) => results.filter(r => r.status === status).length;
+  await prisma.$transaction([
+    prisma.syncResult.createMany({ data: results.map(r => toResultRow(run.id, r)) }),
+    prisma.syncDiff.createMany({ data: diffs.map(diff => ({ ...diff, runId: run.id })) }),
+    prisma.syncRun.update({
+      where: { id: run.id },
+      data: {
+        cursor: run.cursor + processed,
+        updated: { increment: count("updated") },
+        noChange: { increment: count("no_change") },
+        errors: { increment: results.length - count("updated") - count("no_change") - count("not_found") },
+        notFound: { increment: count("not_found") },
+      },
+    }),
+  ]);
+}
+
+/**
+ * Process the next STEP_SIZE products
+ */
+async function processStep(run, admin) {
+  const { products } = run.snapshot;
+  const stepProducts = products.slice(run.cursor, run.cursor + STEP_SIZE);
+  const stepIndex = Math.floor(run.cursor / STEP_SIZE);
+  const totalSteps = Math.ceil(products.length / STEP_SIZE);
+
+  const results = await processProductChunk(
+    stepProducts,
+    run.snapshot,
+    admin,
+    stepIndex,
+    totalSteps,
+    { dryRun: run.dryRun }
+  );
+
+  const diffs = run.dryRun ? results.flatMap(r => r.diffs || []) : [];
+  if (!run.dryRun && run.snapshot.createMissingProducts) {
+    await queueMissingProducts(run.shop, stepProducts, results, run.snapshot);
+  }
+  await recordStep(run, stepProducts.length, results, diffs);
+}
+
+/**
+ * Execute the next STEP_SIZE previewed changes of the source dry run
+ */
+async function processApplyStep(run, admin) {
+  const diffs = await prisma.syncDiff.findMany({
+    where: { runId: run.sourceRunId, status: "change" },
+    orderBy: { id: "asc" },
+    skip: run.cursor,
+    take: STEP_SIZE,
+  });
+  const results = await applySyncDiffs(diffs, admin);
+  await recordStep(run, diffs.length, results);
+}
+
+/**
+ * Mark the run completed; a clean run moves lastSyncDate forward
+ */
+async function completeRun(run) {
+  const { count } = await prisma.syncRun.updateMany({
+    where: { id: run.id, status: "running" },
+    data: { status: "completed", finishedAt: new Date(), lockedUntil: null, lockedBy: null },
+  });
+  if (!count) return;
+
+  console.log(`✅ Sync run ${run.id} completed: ${run.updated} updated, ${run.noChange} unchanged, ${run.errors} errors, ${run.notFound} not found`);
+  // Dry and apply runs don't cover the whole working set, so they never move lastSyncDate
+  if (run.errors === 0 && !run.dryRun && run.mode !== "apply") {
+    await recordCleanSync(run.shop, run.startedAt, run.snapshot.quantityMap, run.snapshot.finaProductCount);
+  }
+}
+
+/**
+ * Advance a run by one bounded step
+ * @param {string} runId
+ * @param {Object} admin - Admin API client for the run's shop
+ * @param {string} workerId
+ * @returns {Promise<boolean>} true while the run has more work
+ */
+export async function advanceSyncRun(runId, admin, workerId) {
+  if (!(await claimRun(runId, workerId))) return false;
+
+  const run = await prisma.syncRun.findUnique({ where: { id: runId } });
+  try {
+    if (!run.snapshot) {
+      await (run.mode === "apply" ? prepareApplyRun(run) : prepareRun(run, admin));
+      return true;
+    }
+    if (run.mode !== "apply" && !run.snapshot.variantIndex) {
+      await indexStep(run, admin);
+      return true;
+    }
+    if (run.mode !== "apply" && !run.guardReport) {
+      return await guardStep(run);
+    }
+    if (run.cursor >= run.totalProducts) {
+      await completeRun(run);
+      return false;
+    }
+    await (run.mode === "apply" ? processApplyStep(run, admin) : processStep(run, admin));
+    return true;
+  } catch (error) {
+    console.error(`💥 Sync run ${runId} failed at cursor ${run.cursor}:`, error);
+    await prisma.syncRun.updateMany({
+      where: { id: runId, status: "running" },
+      data: { status: "failed", error: error.message, finishedAt: new Date(), lockedUntil: null, lockedBy: null },
+    });
+    return false;
+  }
+}
+
+/**
+ * Advance a run until it is done, cancelled, or `deadline` (ms epoch) passes
+ * @param {{ id: string, shop: string }} run
+ * @param {{ deadline?: number }} [options]
+ */
+export async function processSyncRun(run, { deadline = Infinity } = {}) {
+  const workerId = randomUUID();
+  let admin;
+  try {
+    ({ admin } = await unauthenticated.admin(run.shop));
+    admin = withThrottling(admin, run.shop);
+  } catch (error) {
+    console.error(`❌ No offline session for ${run.shop}, cannot advance sync run ${run.id}:`, error);
+    await prisma.syncRun.updateMany({
+      where: { id: run.id, status: { in: ACTIVE_STATUSES } },
+      data: { status: "failed", error: `No offline session for ${run.shop}`, finishedAt: new Date() },
+    });
+    return;
+  }
+
+  try {
+    while (Date.now() < deadline && (await advanceSyncRun(run.id, admin, workerId))) {
+      // keep stepping
+    }
+  } finally {
+    await releaseRun(run.id, workerId);
+  }
+}
+
+/**
+ * Start advancing a run in the background of this process
+ * @param {{ id: string, shop: string }} run
+ */
+export function runSyncWorker(run) {
+  if (activeWorkers.has(run.id)) return;
+  activeWorkers.add(run.id);
+
+  processSyncRun(run)
+    .catch(error => console.error(`💥 Sync worker for run ${run.id} crashed:`, error))
+    .finally(() => activeWorkers.delete(run.id));
+}
+
+/**
+ * Pick up active runs nobody is advancing (queued, or left behind by a
+ * restart / timeout) and start workers for them
+ * @param {string} [shop] - Limit to one shop
+ */
+export async function resumeStalledRuns(shop) {
+  const runs = await prisma.syncRun.findMany({
+    where: {
+      ...(shop ? { shop } : {}),
+      status: { in: ACTIVE_STATUSES },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: new Date() } }],
+    },
+    select: { id: true, shop: true },
+  });
+  for (const run of runs) runSyncWorker(run);
+  return runs;
+}
@@ -0,0 +1,152 @@
+/**
+ * Sync Scheduler
+ * Starts the sync runs each shop has scheduled in SyncSettings, and drives
+ * the order export queue (order-exports.js) so failed exports are retried.
+ *
+ * Two ways to drive it:
+ * - SYNC_SCHEDULER=in-process checks every minute inside the app server
+ *   (long-running hosts such as Docker)
+ * - an external cron calling /api/cron/sync with CRON_SECRET (serverless
+ *   hosts, where nothing runs between requests)
+ */
+
+import prisma from "../db.server";
+import {
+  ACTIVE_STATUSES,
+  processSyncRun,
+  resumeStalledRuns,
+  startSyncRun,
+} from "./sync-runs.js";
+import { processDueOrderExports } from "./order-exports.js";
+import { pruneWebhookDeliveries } from "./webhook-deliveries.js";
+
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Nightly full sync: due once the day's fullSyncHour (UTC) has passed and it
+ * hasn't been started since
+ */
+export function isFullSyncDue(settings, now = new Date()) {
+  if (!settings.fullSyncEnabled) return false;
+
+  const todaysSlot = new Date(now);
+  todaysSlot.setUTCHours(settings.fullSyncHour, 0, 0, 0);
+  if (now < todaysSlot) return false;
+
+  return !settings.lastScheduledFullAt || settings.lastScheduledFullAt < todaysSlot;
+}
+
+export function isIncrementalSyncDue(settings, now = new Date()) {
+  if (!settings.incrementalSyncEnabled) return false;
+  if (!settings.lastScheduledIncrementalAt) return true;
+
+  const elapsed = now.getTime() - settings.lastScheduledIncrementalAt.getTime();
+  return elapsed >= settings.incrementalIntervalMinutes * 60 * 1000;
+}
+
+/**
+ * Queue the runs that are due. A shop with a run in progress is skipped and
+ * picked up on a later tick; a due full sync wins over an incremental one.
+ * Neither starts while the shop's latest run is blocked by its safety
+ * thresholds, waiting to be confirmed: each would be blocked again, keeping
+ * another snapshot.
+ * @returns {Promise<Array<{ id: string, shop: string, mode: string }>>} runs queued
+ */
+export async function startDueSyncRuns(now = new Date()) {
+  const schedules = await prisma.syncSettings.findMany({
+    where: { OR: [{ fullSyncEnabled: true }, { incrementalSyncEnabled: true }] },
+  });
+
+  const queued = [];
+  for (const settings of schedules) {
+    const fullDue = isFullSyncDue(settings, now);
+    if (!fullDue && !isIncrementalSyncDue(settings, now)) continue;
+
+    const active = await prisma.syncRun.count({
+      where: { shop: settings.shop, status: { in: ACTIVE_STATUSES } },
+    });
+    if (active) {
+      console.log(`⏭️ Scheduled sync for ${settings.shop} skipped, a sync is already running`);
+      continue;
+    }
+
+    const latest = await prisma.syncRun.findFirst({
+      where: { shop: settings.shop },
+      orderBy: { createdAt: "desc" },
+      select: { id: true, status: true },
+    });
+    if (latest?.status === "blocked") {
+      console.log(`⏭️ Scheduled sync for ${settings.shop} skipped, run ${latest.id} is waiting to be confirmed past safety thresholds`);
+      continue;
+    }
+
+    const mode = fullDue ? "full" : "incremental";
+    const { run } = await startSyncRun(settings.shop, mode);
+    await prisma.syncSettings.update({
+      where: { shop: settings.shop },
+      data: fullDue
+        // A full sync also covers the incremental one
+        ? { lastScheduledFullAt: now, lastScheduledIncrementalAt: now }
+        : { lastScheduledIncrementalAt: now },
+    });
+    console.log(`⏰ Scheduled ${mode} sync queued for ${settings.shop} (run ${run.id})`);
+    queued.push({ id: run.id, shop: settings.shop, mode });
+  }
+  return queued;
+}
+
+/**
+ * One scheduler tick for the in-process scheduler: queue due runs, hand
+ * every unattended run to a background worker and post due order exports
+ */
+export async function runSchedulerTick() {
+  const queued = await startDueSyncRuns();
+  await resumeStalledRuns();
+  await processDueOrderExports();
+  await pruneWebhookDeliveries();
+  return queued;
+}
+
+/**
+ * One tick for the cron endpoint: post due order exports and queue due
+ * runs, then advance unattended runs inside this request until `deadline`
+ * (ms epoch), since serverless hosts freeze background work once the
+ * response is sent
+ * @param {{ deadline: number }} options
+ */
+export async function runCronTick({ deadline }) {
+  const exported = await processDueOrderExports({ deadline });
+  await pruneWebhookDeliveries();
+  const queued = await startDueSyncRuns();
+
+  const runs = await prisma.syncRun.findMany({
+    where: {
+      status: { in: ACTIVE_STATUSES },
+      OR: [{ lockedUntil: null }, { lockedUntil: { lt: new Date() } }],
+    },
+    orderBy: { createdAt: "asc" },
+    select: { id: true, shop: true },
+  });
+  const advanced = [];
+  for (const run of runs) {
+    if (Date.now() >= deadline) break;
+    await processSyncRun(run, { deadline });
+    advanced.push(run.id);
+  }
+
+  return { queued, advanced, exported };
+}
+
+/**
+ * Start the in-process scheduler when SYNC_SCHEDULER=in-process. Safe to call
+ * more than once (dev reloads keep a single interval).
+ */
+export function startSyncScheduler() {
+  if (process.env.SYNC_SCHEDULER !== "in-process") return;
+  if (global.syncSchedulerTimer) return;
+
+  console.log("⏰ In-process sync scheduler started");
+  global.syncSchedulerTimer = setInterval(() => {
+    runSchedulerTick().catch(error => console.error("💥 Sync scheduler tick failed:", error));
+  }, SCHEDULER_INTERVAL_MS);
+}
@@ -0,0 +1,126 @@
+/**
+ * Sync Settings Service
+ * Tracks lastSyncDate and the FINA stock snapshot that incremental syncs
+ * compare against.
+ *
+ * Both only move forward when a sync run completes without errors, so a
+ * failed run is fully retried by the next incremental sync. Also holds the
+ * safety thresholds a run has to pass before it writes (sync-guards.js).
+ */
+
+import prisma from "../db.server";
+
+/**
+ * @param {string} shop
+ */
+export async function getSyncSettings(shop) {
+  return prisma.syncSettings.upsert({
+    where: { shop },
+    create: { shop },
+    update: {},
+  });
+}
+
+/**
+ * FINA expects yyyy-MM-ddTHH:mm:ss without a zone. FINA runs on Tbilisi time
+ * (ahead of UTC), so sending UTC only ever widens the window.
+ * @param {Date} date
+ */
+export function formatFinaDate(date) {
+  return date.toISOString().slice(0, 19);
+}
+
+/**
+ * Record a clean run: the next incremental sync starts from its start time
+ * @param {string} shop
+ * @param {Date} startedAt
+ * @param {Record<string, Record<string, number>>} restSnapshot - FINA rest by location id, then product id, at startedAt
+ * @param {number} [productCount] - FINA catalog size, baseline for the product count guard
+ */
+export async function recordCleanSync(shop, startedAt, restSnapshot, productCount) {
+  const data = {
+    lastSyncDate: startedAt,
+    lastRestSnapshot: restSnapshot,
+    ...(productCount !== undefined && { lastProductCount: productCount }),
+  };
+  return prisma.syncSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Validate and save the automatic sync schedule
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function saveSyncSchedule(shop, input) {
+  const fullSyncHour = Number(input.fullSyncHour);
+  const incrementalIntervalMinutes = Number(input.incrementalIntervalMinutes);
+
+  if (!Number.isInteger(fullSyncHour) || fullSyncHour < 0 || fullSyncHour > 23) {
+    throw new Error("Full sync hour must be between 0 and 23");
+  }
+  if (!Number.isInteger(incrementalIntervalMinutes) || incrementalIntervalMinutes < 5) {
+    throw new Error("Incremental interval must be at least 5 minutes");
+  }
+
+  const data = {
+    fullSyncEnabled: input.fullSyncEnabled === "true",
+    fullSyncHour,
+    incrementalSyncEnabled: input.incrementalSyncEnabled === "true",
+    incrementalIntervalMinutes,
+  };
+
+  return prisma.syncSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Validate and save the safety thresholds (see sync-guards.js). An empty
+ * threshold turns that guard off.
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function saveSyncGuards(shop, input) {
+  const threshold = (field, label) => {
+    const value = (input[field] ?? "").trim();
+    if (!value) return null;
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > 100) {
+      throw new Error(`${label} must be a whole percentage between 0 and 100`);
+    }
+    return number;
+  };
+
+  const data = {
+    guardZeroPercent: threshold("guardZeroPercent", "Zero stock threshold"),
+    guardPriceChangePercent: threshold("guardPriceChangePercent", "Price change threshold"),
+    guardProductDropPercent: threshold("guardProductDropPercent", "Product count threshold"),
+    guardAction: input.guardAction === "abort" ? "abort" : "confirm",
+  };
+
+  return prisma.syncSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+/**
+ * Turn queueing of FINA products without a Shopify variant on or off
+ * @param {string} shop
+ * @param {Record<string, string>} input
+ */
+export async function saveMissingProductSettings(shop, input) {
+  const data = { createMissingProducts: input.createMissingProducts === "true" };
+  return prisma.syncSettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
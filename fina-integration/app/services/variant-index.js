@@ -0,0 +1,140 @@
+/**
+ * Variant Index
+ * SKU → Shopify variants for a whole sync run, built from one bulk export of
+ * the catalog (see shopify-bulk.js) and stored on the run's snapshot.
+ *
+ * Replaces per-chunk OR-joined SKU searches, which never paginated and could
+ * silently drop variants of SKUs with many matches.
+ */
+
+import { readBulkResult, startBulkQuery, waitForBulkOperation } from "./shopify-bulk.js";
+import { parseMetafieldKey } from "./price-mapping.js";
+import { attributeSelection } from "./product-attributes.js";
+import { visibilitySelection } from "./visibility.js";
+
+/**
+ * Bulk query for every variant with the fields the sync compares. Inventory
+ * levels come back as child rows pointing at their parent via __parentId.
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} priceMapping
+ * @param {Array<Object>} fieldMappings - product fields the sync compares (product-attributes.js)
+ * @param {import("./visibility.js").ResolvedVisibility} [visibility] - publications and status the sync manages
+ */
+function variantExportQuery(priceMapping, fieldMappings, visibility) {
+  let metafield = "";
+  if (priceMapping.variantSelector === "metafield") {
+    const { namespace, key } = parseMetafieldKey(priceMapping.selectorKey);
+    metafield = `metafield(namespace: ${JSON.stringify(namespace)}, key: ${JSON.stringify(key)}) { value }`;
+  }
+
+  return `{
+    productVariants {
+      edges {
+        node {
+          id
+          sku
+          barcode
+          price
+          compareAtPrice
+          selectedOptions { name value }
+          ${metafield}
+          product {
+            id
+            title
+            ${fieldMappings.length ? attributeSelection(fieldMappings) : ""}
+            ${visibility ? visibilitySelection(visibility) : ""}
+          }
+          inventoryItem {
+            id
+            inventoryLevels {
+              edges {
+                node {
+                  location { id }
+                  quantities(names: ["available"]) { quantity }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }`;
+}
+
+/**
+ * Start exporting the catalog
+ * @param {Object} admin - Admin API client
+ * @param {import("./price-mapping.js").ResolvedPriceMapping} priceMapping
+ * @param {Array<Object>} [fieldMappings]
+ * @param {import("./visibility.js").ResolvedVisibility} [visibility]
+ * @returns {Promise<string>} bulk operation id
+ */
+export async function startVariantExport(admin, priceMapping, fieldMappings = [], visibility = null) {
+  const operation = await startBulkQuery(admin, variantExportQuery(priceMapping, fieldMappings, visibility));
+  console.log(`📤 Shopify variant export started (${operation.id})`);
+  return operation.id;
+}
+
+/**
+ * Wait for the export until `deadline`, then build the index of the variants
+ * whose SKU matches a FINA code (or code + B2B suffix), plus the variants of
+ * products a merchant linked to a code (see missing-products.js).
+ * @param {Object} admin
+ * @param {string} bulkOperationId
+ * @param {{ codes: string[], locations: import("./location-mapping.js").StoreLocation[], priceMapping: import("./price-mapping.js").ResolvedPriceMapping, linkedProducts?: Record<string, string>, deadline: number }} options
+ * @returns {Promise<Record<string, Object[]>|null>} variants by FINA code, null while the export is still running
+ */
+export async function collectVariantIndex(admin, bulkOperationId, { codes, locations, priceMapping, linkedProducts = {}, deadline }) {
+  const operation = await waitForBulkOperation(admin, bulkOperationId, { deadline });
+  if (["CREATED", "RUNNING", "CANCELING"].includes(operation.status)) return null;
+  if (operation.status !== "COMPLETED") {
+    throw new Error(`Shopify variant export ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`);
+  }
+
+  const suffix = priceMapping.variantSelector === "skuSuffix" ? priceMapping.b2bValue : null;
+  const codeBySku = new Map();
+  for (const code of codes) {
+    codeBySku.set(code, code);
+    if (suffix) codeBySku.set(`${code}${suffix}`, code);
+  }
+  const linkedCodes = new Map(Object.entries(linkedProducts).filter(([, code]) => codeBySku.has(code)));
+  const mappedLocations = new Set(locations.map(location => location.locationId));
+
+  const index = {};
+  // Variants we keep, reachable by variant id and inventory item id for child rows
+  const byParentId = new Map();
+  let variantCount = 0;
+
+  if (operation.url) {
+    await readBulkResult(operation.url, (row) => {
+      if (row.__parentId) {
+        const variant = byParentId.get(row.__parentId);
+        if (variant && mappedLocations.has(row.location?.id)) {
+          variant.inventoryItem.levels[row.location.id] = row.quantities?.[0]?.quantity ?? 0;
+        }
+        return;
+      }
+
+      const code = (row.sku && codeBySku.get(row.sku)) || linkedCodes.get(row.product?.id);
+      if (!code) return;
+
+      const variant = {
+        id: row.id,
+        sku: row.sku,
+        barcode: row.barcode,
+        price: row.price,
+        compareAtPrice: row.compareAtPrice,
+        selectedOptions: row.selectedOptions,
+        selectorMetafield: row.metafield ?? null,
+        product: row.product,
+        inventoryItem: { id: row.inventoryItem.id, levels: {} },
+      };
+      (index[code] ||= []).push(variant);
+      byParentId.set(variant.id, variant);
+      byParentId.set(variant.inventoryItem.id, variant);
+      variantCount++;
+    });
+  }
+
+  console.log(`📥 Shopify variant export read: ${variantCount} variants for ${Object.keys(index).length} FINA codes (${operation.objectCount} objects)`);
+  return index;
+}
@@ -0,0 +1,186 @@
+/**
+ * Visibility Service
+ * Which add_fields columns mark a FINA product hidden for the retail and the
+ * B2B channel, and what a sync does with hidden products.
+ *
+ * Hidden variants always get stock 0. With unpublishHidden the product is
+ * also unpublished from the retail publication (Online Store unless another
+ * one is chosen) or the B2B catalog publications, and published again once
+ * FINA shows it. With archiveHidden an active product hidden on both
+ * channels is archived and tagged ARCHIVED_TAG; only tagged products are
+ * made active again, so products a merchant archived stay archived.
+ */
+
+import prisma from "../db.server";
+
+export const ARCHIVED_TAG = "fina-archived";
+
+export const DEFAULT_VISIBILITY = {
+  b2cField: "usr_column_503",
+  b2bField: "usr_column_504",
+  visibleValue: "1",
+  unpublishHidden: false,
+  retailPublicationId: null,
+  b2bPublicationIds: [],
+  archiveHidden: false,
+};
+
+/**
+ * @typedef {Object} ResolvedVisibility
+ * @property {string} b2cField
+ * @property {string} b2bField
+ * @property {string} visibleValue
+ * @property {boolean} unpublishHidden
+ * @property {boolean} archiveHidden
+ * @property {Array<{ id: string, name: string, channel: "b2c"|"b2b" }>} publications - managed publications, [] unless unpublishHidden
+ */
+
+/**
+ * Saved rules, as entered in settings (null when the shop has none)
+ * @param {string} shop
+ */
+export async function getSavedVisibility(shop) {
+  return prisma.visibilitySettings.findUnique({ where: { shop } });
+}
+
+/**
+ * Sales channel and catalog publications, for the settings UI
+ * @param {Object} admin - Admin API client
+ */
+export async function listPublications(admin) {
+  const response = await admin.graphql(`
+    query {
+      publications(first: 50) {
+        nodes { id name }
+      }
+    }
+  `);
+  const data = await response.json();
+  return data?.data?.publications?.nodes || [];
+}
+
+/**
+ * Rules a sync uses, with the publications it manages
+ * @param {string} shop
+ * @param {Object} admin
+ * @returns {Promise<ResolvedVisibility>}
+ */
+export async function resolveVisibility(shop, admin) {
+  const saved = await getSavedVisibility(shop);
+  const rules = { ...DEFAULT_VISIBILITY, ...(saved ?? {}) };
+  const resolved = {
+    b2cField: rules.b2cField,
+    b2bField: rules.b2bField,
+    visibleValue: rules.visibleValue,
+    unpublishHidden: rules.unpublishHidden,
+    archiveHidden: rules.archiveHidden,
+    publications: [],
+  };
+  if (!rules.unpublishHidden) return resolved;
+
+  const publications = await listPublications(admin);
+  const retail = rules.retailPublicationId
+    ? publications.find(publication => publication.id === rules.retailPublicationId)
+    : publications.find(publication => publication.name === "Online Store");
+  if (retail) resolved.publications.push({ id: retail.id, name: retail.name, channel: "b2c" });
+  else console.warn(`⚠️ Retail publication not found for ${shop}, hidden products stay published`);
+
+  for (const id of rules.b2bPublicationIds) {
+    const publication = publications.find(p => p.id === id);
+    if (publication) resolved.publications.push({ id, name: publication.name, channel: "b2b" });
+  }
+  return resolved;
+}
+
+/**
+ * Visibility per channel. A product without the column is visible, one with
+ * the column is visible only when it holds visibleValue.
+ * @param {Object} product - FINA product
+ * @param {ResolvedVisibility} rules
+ * @returns {{ b2c: boolean, b2b: boolean }}
+ */
+export function readVisibility(product, rules) {
+  const visibility = { b2c: true, b2b: true };
+  for (const field of product.add_fields || []) {
+    if (field.field === rules.b2cField) visibility.b2c = (field.value || '') === rules.visibleValue;
+    else if (field.field === rules.b2bField) visibility.b2b = (field.value || '') === rules.visibleValue;
+  }
+  return visibility;
+}
+
+/**
+ * Extra product fields for the variant export (see variant-index.js)
+ * @param {ResolvedVisibility} rules
+ */
+export function visibilitySelection(rules) {
+  const fields = rules.publications.map((publication, i) => (
+    `pub${i}: publishedOnPublication(publicationId: ${JSON.stringify(publication.id)})`
+  ));
+  if (rules.archiveHidden) fields.push("status", "tags");
+  return fields.join("\n");
+}
+
+/**
+ * Publication and status changes for a Shopify product, in the attribute
+ * change format of product-attributes.js
+ * @param {Object} product - Shopify product from the variant index
+ * @param {{ b2c: boolean, b2b: boolean }} visible
+ * @param {ResolvedVisibility} rules
+ */
+export function planVisibilityChanges(product, visible, rules) {
+  const changes = [];
+
+  rules.publications.forEach((publication, i) => {
+    const published = product[`pub${i}`];
+    if (typeof published !== "boolean") return;
+    const target = publication.channel === "b2c" ? visible.b2c : visible.b2b;
+    if (published === target) return;
+    changes.push({
+      target: "publication",
+      option: publication.id,
+      label: publication.name,
+      from: published ? "published" : "unpublished",
+      to: target ? "published" : "unpublished",
+    });
+  });
+
+  if (rules.archiveHidden) {
+    const hidden = !visible.b2c && !visible.b2b;
+    if (hidden && product.status === "ACTIVE") {
+      changes.push({ target: "status", option: null, from: "ACTIVE", to: "ARCHIVED" });
+    } else if (!hidden && product.status === "ARCHIVED" && product.tags?.includes(ARCHIVED_TAG)) {
+      changes.push({ target: "status", option: null, from: "ARCHIVED", to: "ACTIVE" });
+    }
+  }
+  return changes;
+}
+
+/**
+ * Validate and save the visibility rules
+ * @param {string} shop
+ * @param {Record<string, string>} input - b2bPublicationIds comma separated
+ */
+export async function saveVisibility(shop, input) {
+  const b2cField = (input.b2cField || "").trim();
+  const b2bField = (input.b2bField || "").trim();
+  for (const field of [b2cField, b2bField]) {
+    if (!/^usr_column_\d+$/.test(field)) throw new Error(`"${field}" is not a FINA additional field (usr_column_<n>)`);
+  }
+  if (b2cField === b2bField) throw new Error("Retail and B2B visibility need different fields");
+
+  const data = {
+    b2cField,
+    b2bField,
+    visibleValue: (input.visibleValue ?? "").trim() || DEFAULT_VISIBILITY.visibleValue,
+    unpublishHidden: input.unpublishHidden === "true",
+    retailPublicationId: input.retailPublicationId || null,
+    b2bPublicationIds: (input.b2bPublicationIds || "").split(",").filter(Boolean),
+    archiveHidden: input.archiveHidden === "true",
+  };
+
+  return prisma.visibilitySettings.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
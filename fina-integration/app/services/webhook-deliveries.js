@@ -0,0 +1,41 @@
+/**
+ * Webhook Deliveries
+ * Shopify can deliver one webhook event more than once, every time with the
+ * same X-Shopify-Webhook-Id. A handler records the id in the transaction
+ * that stores its work, so a redelivery finds it and is only acknowledged.
+ */
+
+import prisma from "../db.server";
+
+/**
+ * Shopify stops redelivering 48 hours after the event. Ids are kept a week,
+ * well past that, so the last retries are still recognised with room to spare.
+ */
+const RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Record a delivery together with the handler's writes
+ * @param {{ webhookId: string, shop: string, topic: string }} delivery
+ * @param {Array<Object>} writes - Prisma queries, not awaited yet
+ * @returns {Promise<Array|null>} results of `writes`, null when the delivery was handled before
+ */
+export async function recordWebhookDelivery({ webhookId, shop, topic }, writes) {
+  try {
+    const [, ...results] = await prisma.$transaction([
+      prisma.webhookDelivery.create({ data: { webhookId, shop, topic } }),
+      ...writes,
+    ]);
+    return results;
+  } catch (error) {
+    if (error.code === "P2002") return null;
+    throw error;
+  }
+}
+
+/** Forget deliveries Shopify won't send again */
+export async function pruneWebhookDeliveries(now = new Date()) {
+  const { count } = await prisma.webhookDelivery.deleteMany({
+    where: { createdAt: { lt: new Date(now.getTime() - RETENTION_MS) } },
+  });
+  return count;
+}